@@ -0,0 +1,150 @@
+// Splits the one-line addresses Maps shows into street, locality, city, state, postal code and
+// country. Each country has its own rules, other countries can be added with registerAddressParser.
+const { DEFAULT_REGION, regionFromText } = require('./phone');
+
+// Maps separates parts with commas, and with " - " in the Gulf states
+function splitSegments(address) {
+    return address.split(/,|\s[-–]\s/).map(part => part.trim()).filter(Boolean);
+}
+
+// Pull a postal code out of the last segment that has one, e.g. "Karnataka 560038"
+function takePostalCode(segments, pattern) {
+    for (let i = segments.length - 1; i >= 0; i--) {
+        const match = pattern.exec(segments[i]);
+        if (match) {
+            const rest = segments[i].replace(match[0], '').replace(/\s{2,}/g, ' ').trim();
+            return { postalCode: match[0], index: i, rest };
+        }
+    }
+    return null;
+}
+
+// "street..., locality, city, <region and postal code>" as most countries write it
+function parseWithRegionSegment(segments, postalPattern) {
+    const found = takePostalCode(segments, postalPattern);
+    if (!found) return fallback(segments);
+
+    const before = segments.slice(0, found.index);
+    return {
+        street: before.slice(0, -2).join(', ') || before.slice(0, -1).join(', '),
+        locality: before.length > 2 ? before[before.length - 2] : '',
+        city: before[before.length - 1] || '',
+        state: found.rest,
+        pincode: found.postalCode
+    };
+}
+
+// Unknown layout: the last segment is the region, the one before it the city
+function fallback(segments) {
+    if (segments.length < 2) return { street: segments.join(', '), locality: '', city: '', state: '', pincode: '' };
+    const last = segments[segments.length - 1];
+    const postal = /\b\d{4,6}\b/.exec(last);
+    return {
+        street: segments.slice(0, -2).join(', '),
+        locality: '',
+        city: segments[segments.length - 2],
+        state: postal ? last.replace(postal[0], '').trim() : last,
+        pincode: postal ? postal[0] : ''
+    };
+}
+
+const ADDRESS_PARSERS = {
+    // "12, MG Road, Indiranagar, Bengaluru, Karnataka 560038"
+    IN: {
+        parse: segments => parseWithRegionSegment(segments, /\b\d{3}\s?\d{3}\b/),
+        normalizePostalCode: code => code.replace(/\s/g, '')
+    },
+    // "123 Main St, Austin, TX 78701"
+    US: {
+        parse: segments => parseWithRegionSegment(segments, /\b\d{5}(-\d{4})?\b/),
+        normalizePostalCode: code => code.slice(0, 5)
+    },
+    // "10 Downing St, London SW1A 2AA", the postcode follows the post town
+    GB: {
+        parse: (segments) => {
+            const found = takePostalCode(segments, /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/i);
+            if (!found) return fallback(segments);
+            const before = segments.slice(0, found.index);
+            const city = found.rest || before.pop() || '';
+            return {
+                street: before.slice(0, -1).join(', ') || before.join(', '),
+                locality: before.length > 1 ? before[before.length - 1] : '',
+                city,
+                state: '',
+                pincode: found.postalCode
+            };
+        },
+        normalizePostalCode: code => code.replace(/\s/g, '').replace(/^(.+)(\d[A-Z]{2})$/i, '$1 $2')
+    },
+    // "Sheikh Zayed Rd - Trade Centre - Dubai", no postal codes and the city names the emirate
+    AE: {
+        parse: (segments) => {
+            const city = segments[segments.length - 1] || '';
+            return {
+                street: segments.slice(0, -2).join(', ') || (segments.length > 1 ? segments[0] : ''),
+                locality: segments.length > 2 ? segments[segments.length - 2] : '',
+                city,
+                state: city,
+                pincode: ''
+            };
+        },
+        normalizePostalCode: code => code
+    },
+    // "1 Martin Pl, Sydney NSW 2000", suburb, state and postcode share the last segment
+    AU: {
+        parse: (segments) => {
+            const found = takePostalCode(segments, /\b\d{4}\b(?!.*\d)/);
+            if (!found) return fallback(segments);
+            const stateMatch = /\b(NSW|VIC|QLD|WA|SA|TAS|ACT|NT)\b/i.exec(found.rest);
+            const state = stateMatch ? stateMatch[0].toUpperCase() : '';
+            const city = (stateMatch ? found.rest.replace(stateMatch[0], '') : found.rest).trim();
+            const before = segments.slice(0, found.index);
+            return {
+                street: before.join(', '),
+                locality: '',
+                city: city || before.pop() || '',
+                state,
+                pincode: found.postalCode
+            };
+        },
+        normalizePostalCode: code => code
+    },
+    // "123 Queen St W, Toronto, ON M5H 2M9"
+    CA: {
+        parse: segments => parseWithRegionSegment(segments, /\b[A-Z]\d[A-Z]\s?\d[A-Z]\d\b/i),
+        normalizePostalCode: code => code.replace(/\s/g, '').replace(/^(.{3})(.{3})$/, '$1 $2')
+    }
+};
+
+function registerAddressParser(country, parser) {
+    ADDRESS_PARSERS[country.toUpperCase()] = parser;
+}
+
+function normalizePostalCode(code, country) {
+    if (!code || code === 'N/A') return '';
+    const value = String(code).trim().toUpperCase();
+    const parser = ADDRESS_PARSERS[country];
+    return parser ? parser.normalizePostalCode(value) : value.replace(/\s/g, '');
+}
+
+// The country named at the end of the address wins over the job's region
+function parseAddress(address, region) {
+    const empty = { street: 'N/A', locality: 'N/A', city: 'N/A', state: 'N/A', pincode: 'N/A', country: 'N/A' };
+    if (!address || address === 'N/A') return empty;
+
+    let segments = splitSegments(address);
+    const named = regionFromText(address);
+    if (named) segments = segments.slice(0, -1);
+    const country = named || region || DEFAULT_REGION;
+
+    const parser = ADDRESS_PARSERS[country];
+    const parts = parser ? parser.parse(segments) : fallback(segments);
+    const result = { ...empty, country };
+    for (const [field, value] of Object.entries(parts)) {
+        if (value) result[field] = value;
+    }
+    if (result.pincode !== 'N/A') result.pincode = normalizePostalCode(result.pincode, country);
+    return result;
+}
+
+module.exports = { ADDRESS_PARSERS, registerAddressParser, parseAddress, normalizePostalCode };
@@ -0,0 +1,85 @@
+const xlsx = require('xlsx');
+
+const MAX_BATCH_SEARCHES = 500;
+const LOCATION_HEADERS = ['pincode', 'pin', 'postcode', 'zip', 'location', 'city'];
+const QUERY_HEADERS = ['query', 'keyword', 'search', 'category'];
+
+function toList(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+    return Array.from(new Set(list.map(item => String(item).trim()).filter(Boolean)));
+}
+
+function readRows(buffer) {
+    const workbook = xlsx.read(buffer, { type: 'buffer' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return xlsx.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+}
+
+// Locations from an uploaded CSV/XLSX, sent as { name, content } with base64 content.
+// Uses the first column whose header looks like a location, otherwise the first column.
+function parseLocationsFile(file) {
+    const rows = readRows(Buffer.from(file.content, 'base64'));
+    if (rows.length === 0) return [];
+
+    const headers = rows[0].map(header => String(header).trim().toLowerCase());
+    const column = headers.findIndex(header => LOCATION_HEADERS.includes(header));
+    const dataRows = column === -1 ? rows : rows.slice(1);
+    return toList(dataRows.map(row => row[Math.max(column, 0)]));
+}
+
+// Query/location pairs from a CSV/XLSX file, one search per row. Columns are picked by
+// their headers, a file without headers has the query first and the location second.
+function parseSearchesFile(buffer) {
+    const rows = readRows(buffer).filter(row => row.some(cell => String(cell).trim()));
+    if (rows.length === 0) return [];
+
+    const headers = rows[0].map(header => String(header).trim().toLowerCase());
+    const queryColumn = headers.findIndex(header => QUERY_HEADERS.includes(header));
+    const locationColumn = headers.findIndex(header => LOCATION_HEADERS.includes(header));
+    const hasHeaders = queryColumn !== -1;
+    return (hasHeaders ? rows.slice(1) : rows)
+        .map(row => ({
+            query: String(row[hasHeaders ? queryColumn : 0] || '').trim(),
+            location: String((hasHeaders ? row[locationColumn] : row[1]) || '').trim()
+        }))
+        .filter(pair => pair.query);
+}
+
+function createSearch(query, location, isPincode) {
+    return {
+        query,
+        location,
+        // Same check the bundled frontend does for single searches
+        isPincode: isPincode === undefined ? /^\d{6}$/.test(location) : !!isPincode,
+        status: 'queued',
+        results: 0,
+        endReason: null,
+        error: null
+    };
+}
+
+// Every query paired with every location, each becomes one scrapeGoogleMaps run
+function expandSearches(queries, locations, isPincode) {
+    const searches = [];
+    for (const query of queries) {
+        for (const location of locations.length > 0 ? locations : ['']) {
+            searches.push(createSearch(query, location, isPincode));
+        }
+    }
+    return searches;
+}
+
+// Searches for explicit query/location pairs, e.g. from parseSearchesFile
+function pairSearches(pairs, isPincode) {
+    return pairs.map(({ query, location }) => createSearch(query, location, isPincode));
+}
+
+module.exports = {
+    MAX_BATCH_SEARCHES,
+    toList,
+    parseLocationsFile,
+    parseSearchesFile,
+    expandSearches,
+    pairSearches
+};
@@ -0,0 +1,146 @@
+// Shared Chromium instances for Maps scrapes and contact lookups. Every task gets a fresh
+// context, so cookies and storage never leak between tasks, while browsers are reused.
+const { chromium } = require('playwright');
+
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 2;
+// A scrape holds one context for its whole run while waiting on contact lookups, so
+// POOL_SIZE * MAX_CONTEXTS_PER_BROWSER must stay above JOB_CONCURRENCY + EMAIL_CONCURRENCY
+const MAX_CONTEXTS_PER_BROWSER = parseInt(process.env.BROWSER_MAX_CONTEXTS, 10) || 4;
+// Chromium grows over time, browsers are replaced after this many tasks
+const MAX_TASKS_PER_BROWSER = parseInt(process.env.BROWSER_MAX_TASKS, 10) || 50;
+const IDLE_TIMEOUT = 60000;
+
+const LAUNCH_OPTIONS = {
+    headless: true,
+    // A system Chromium instead of the one `npx playwright install` downloads
+    executablePath: process.env.CHROMIUM_PATH || undefined,
+    args: ['--disable-dev-shm-usage', '--no-sandbox', '--disable-setuid-sandbox']
+};
+const BLOCKED_RESOURCES = new Set(['image', 'font', 'media']);
+
+let nextBrowserId = 1;
+const browsers = []; // { id, launching, browser, active, tasks, retiring, idleTimer }
+const waiting = [];
+const metrics = { launched: 0, recycled: 0, crashed: 0, tasksStarted: 0, tasksCompleted: 0, tasksFailed: 0 };
+
+function removeBrowser(entry) {
+    const index = browsers.indexOf(entry);
+    if (index !== -1) browsers.splice(index, 1);
+    clearTimeout(entry.idleTimer);
+    // A free place in the pool may be what a waiting task needs
+    wakeWaiting();
+}
+
+function wakeWaiting() {
+    const resolve = waiting.shift();
+    if (resolve) resolve();
+}
+
+function launchBrowser() {
+    const entry = { id: nextBrowserId++, browser: null, active: 0, tasks: 0, retiring: false, idleTimer: null };
+    entry.launching = chromium.launch(LAUNCH_OPTIONS).then(browser => {
+        entry.browser = browser;
+        metrics.launched++;
+        browser.on('disconnected', () => {
+            // Closed by us when recycled, anything else is a crash
+            if (!browsers.includes(entry)) return;
+            console.error(`Browser ${entry.id} crashed, replacing it`);
+            metrics.crashed++;
+            removeBrowser(entry);
+        });
+        return browser;
+    });
+    entry.launching.catch(() => removeBrowser(entry));
+    browsers.push(entry);
+    return entry;
+}
+
+async function closeBrowser(entry) {
+    removeBrowser(entry);
+    const browser = await entry.launching.catch(() => null);
+    if (browser) await browser.close().catch(() => {});
+}
+
+// The least busy browser with a free context slot, launching one while the pool has room
+async function reserveBrowser() {
+    for (;;) {
+        const available = browsers
+            .filter(entry => !entry.retiring && entry.active < MAX_CONTEXTS_PER_BROWSER)
+            .sort((a, b) => a.active - b.active)[0];
+        const entry = available || (browsers.length < POOL_SIZE ? launchBrowser() : null);
+        if (entry) {
+            clearTimeout(entry.idleTimer);
+            entry.active++;
+            entry.tasks++;
+            if (entry.tasks >= MAX_TASKS_PER_BROWSER) entry.retiring = true;
+            return entry;
+        }
+        await new Promise(resolve => waiting.push(resolve));
+    }
+}
+
+function releaseBrowser(entry) {
+    entry.active--;
+    if (entry.active === 0 && browsers.includes(entry)) {
+        if (entry.retiring) {
+            metrics.recycled++;
+            closeBrowser(entry);
+        } else {
+            entry.idleTimer = setTimeout(() => closeBrowser(entry), IDLE_TIMEOUT);
+            entry.idleTimer.unref();
+        }
+    }
+    wakeWaiting();
+}
+
+// A new context on a pooled browser. blockResources skips images, fonts and media, which
+// contact lookups never need. Call release() when done, it closes the context.
+async function acquireContext(contextOptions = {}, { blockResources = false } = {}) {
+    const entry = await reserveBrowser();
+    metrics.tasksStarted++;
+
+    let context;
+    try {
+        const browser = await entry.launching;
+        context = await browser.newContext(contextOptions);
+        if (blockResources) {
+            await context.route('**/*', route =>
+                (BLOCKED_RESOURCES.has(route.request().resourceType()) ? route.abort() : route.continue())
+            );
+        }
+    } catch (error) {
+        metrics.tasksFailed++;
+        releaseBrowser(entry);
+        throw error;
+    }
+
+    let released = false;
+    return {
+        context,
+        release: async ({ failed = false } = {}) => {
+            if (released) return;
+            released = true;
+            await context.close().catch(() => {});
+            metrics[failed ? 'tasksFailed' : 'tasksCompleted']++;
+            releaseBrowser(entry);
+        }
+    };
+}
+
+function getPoolMetrics() {
+    return {
+        size: POOL_SIZE,
+        maxContextsPerBrowser: MAX_CONTEXTS_PER_BROWSER,
+        maxTasksPerBrowser: MAX_TASKS_PER_BROWSER,
+        browsers: browsers.map(({ id, active, tasks, retiring }) => ({ id, activeContexts: active, tasks, retiring })),
+        activeContexts: browsers.reduce((sum, entry) => sum + entry.active, 0),
+        waiting: waiting.length,
+        ...metrics
+    };
+}
+
+async function closePool() {
+    await Promise.all(browsers.slice().map(closeBrowser));
+}
+
+module.exports = { acquireContext, getPoolMetrics, closePool };
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { dataPath, ensureDir, DATA_DIR } = require('./store');
+const { parsePlaceId } = require('./place');
+
+// Master table of every business seen by any job, an append-only log where the last line per ID wins
+const BUSINESSES_PATH = dataPath('businesses.ndjson');
+
+// Fields refreshed from newer scrapes, everything else on the record is job specific
+const MERGED_FIELDS = [
+    'name', 'placeUrl', 'website', 'address',
+    'phone', 'countryCode', 'phoneRaw', 'phoneE164', 'phoneType', 'whatsappUrl',
+    'rating', 'reviews', 'category', 'street', 'locality', 'city', 'state', 'pincode', 'country',
+    'email', 'emailStatus', 'emailConfidence', 'emails', 'socialLinks',
+    'cid', 'latitude', 'longitude', 'plusCode',
+    'openingHours', 'businessStatus', 'priceLevel', 'priceRange', 'attributes', 'serviceOptions',
+    'claimed', 'menuUrl', 'bookingUrl', 'orderUrl', 'photoCount',
+    'score', 'tags', 'websiteTech', 'domainAgeDays'
+];
+
+const businesses = new Map();
+const byPlaceId = new Map();
+const byPhone = new Map();
+const byWebsite = new Map();
+let loaded = false;
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '' && value !== 'N/A';
+}
+
+// Digits only, with the country code, so "+91 98100 00000" and "098100 00000" end up on the same key
+function normalizePhone(record) {
+    if (hasValue(record.phoneE164)) return record.phoneE164.replace(/\D/g, '');
+    if (!hasValue(record.phone)) return null;
+    const countryCode = hasValue(record.countryCode) ? record.countryCode : '';
+    const digits = `${countryCode}${String(record.phone).replace(/^[\s0]+/, '')}`.replace(/\D/g, '');
+    return digits.length >= 7 ? digits : null;
+}
+
+// Host without www plus path, ignoring protocol, query string and trailing slash
+function normalizeWebsite(website) {
+    if (!hasValue(website)) return null;
+    try {
+        const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+        const host = url.hostname.toLowerCase().replace(/^www\./, '');
+        return `${host}${url.pathname.replace(/\/+$/, '')}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+function businessKeys(record) {
+    return {
+        placeId: record.placeId || parsePlaceId(record.placeUrl),
+        phoneKey: normalizePhone(record),
+        websiteKey: normalizeWebsite(record.website)
+    };
+}
+
+function indexBusiness(business) {
+    businesses.set(business.id, business);
+    if (business.placeId) byPlaceId.set(business.placeId, business.id);
+    if (business.phoneKey) byPhone.set(business.phoneKey, business.id);
+    if (business.websiteKey) byWebsite.set(business.websiteKey, business.id);
+}
+
+function loadBusinesses() {
+    if (loaded) return;
+    loaded = true;
+
+    let content;
+    try {
+        content = fs.readFileSync(BUSINESSES_PATH, 'utf8');
+    } catch (error) {
+        return;
+    }
+
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            indexBusiness(JSON.parse(line));
+        } catch (error) {
+            // Skip a line cut short by a crash
+        }
+    }
+
+    // Compact the log so it holds a single line per business again
+    ensureDir(DATA_DIR);
+    const lines = Array.from(businesses.values()).map(business => JSON.stringify(business) + '\n');
+    fs.writeFileSync(`${BUSINESSES_PATH}.tmp`, lines.join(''));
+    fs.renameSync(`${BUSINESSES_PATH}.tmp`, BUSINESSES_PATH);
+}
+
+function saveBusiness(business) {
+    ensureDir(DATA_DIR);
+    fs.appendFileSync(BUSINESSES_PATH, JSON.stringify(business) + '\n');
+}
+
+// Place ID first, then phone and website, but only when one side has no place ID: branches of a
+// chain share a website or call centre number and are still different places
+function findBusiness(record) {
+    loadBusinesses();
+    const { placeId, phoneKey, websiteKey } = businessKeys(record);
+    if (placeId && byPlaceId.has(placeId)) return businesses.get(byPlaceId.get(placeId));
+
+    const candidates = [phoneKey && byPhone.get(phoneKey), websiteKey && byWebsite.get(websiteKey)]
+        .filter(Boolean)
+        .map(id => businesses.get(id));
+    return candidates.find(business => !placeId || !business.placeId) || null;
+}
+
+function isKnownPlace(placeUrl) {
+    loadBusinesses();
+    const placeId = parsePlaceId(placeUrl);
+    return !!placeId && byPlaceId.has(placeId);
+}
+
+// Add a scraped record to the master table, or merge it into the business it matches
+function upsertBusiness(record, jobId) {
+    const now = new Date().toISOString();
+    const keys = businessKeys(record);
+    const existing = findBusiness(record);
+
+    if (!existing) {
+        const business = {
+            id: keys.placeId || crypto.randomUUID(),
+            ...keys,
+            firstSeenAt: now,
+            lastSeenAt: now,
+            jobIds: jobId ? [jobId] : []
+        };
+        for (const field of MERGED_FIELDS) {
+            if (record[field] !== undefined) business[field] = record[field];
+        }
+        indexBusiness(business);
+        saveBusiness(business);
+        return { business, isNew: true, changedFields: [] };
+    }
+
+    const changedFields = [];
+    for (const field of MERGED_FIELDS) {
+        if (hasValue(record[field]) && record[field] !== existing[field]) {
+            if (hasValue(existing[field])) changedFields.push(field);
+            existing[field] = record[field];
+        }
+    }
+    for (const [key, value] of Object.entries(keys)) {
+        if (value && !existing[key]) existing[key] = value;
+    }
+    if (jobId && !existing.jobIds.includes(jobId)) existing.jobIds.push(jobId);
+    existing.lastSeenAt = now;
+
+    indexBusiness(existing);
+    saveBusiness(existing);
+    return { business: existing, isNew: false, changedFields };
+}
+
+function getBusiness(id) {
+    loadBusinesses();
+    return businesses.get(id) || null;
+}
+
+// `jobIds`, a Set, limits the list to businesses those jobs found, e.g. a team's jobs
+function listBusinesses({ jobId, jobIds, q, page, pageSize } = {}) {
+    loadBusinesses();
+    const size = Math.min(parseInt(pageSize, 10) || 50, 500);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+    const search = q ? String(q).toLowerCase() : null;
+
+    const matching = Array.from(businesses.values())
+        .filter(business => !jobId || business.jobIds.includes(jobId))
+        .filter(business => !jobIds || business.jobIds.some(id => jobIds.has(id)))
+        .filter(business => !search || String(business.name || '').toLowerCase().includes(search))
+        .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+
+    return {
+        total: matching.length,
+        page: current,
+        pageSize: size,
+        results: matching.slice((current - 1) * size, current * size)
+    };
+}
+
+module.exports = { upsertBusiness, findBusiness, isKnownPlace, getBusiness, listBusinesses };
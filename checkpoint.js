@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath, ensureDir } = require('./store');
+const { readResults } = require('./results');
+
+const CHECKPOINT_DIR = dataPath('checkpoints');
+
+function checkpointPath(jobId) {
+    return path.join(CHECKPOINT_DIR, `${jobId}.ndjson`);
+}
+
+// Append-only so every processed listing is on disk before the next one starts.
+// Kept results are already in the job's result store, only listings without a record are logged here.
+function appendCheckpoint(jobId, entry) {
+    ensureDir(CHECKPOINT_DIR);
+    fs.appendFileSync(checkpointPath(jobId), JSON.stringify(entry) + '\n');
+}
+
+// Place URLs a resumed job can skip. Every kept result counts, while a listing filtered out
+// is only skipped again by the batch sub-search (`searchIndex`) that filtered it.
+function loadCheckpoint(jobId, searchIndex) {
+    const checkpoint = { urls: new Set() };
+    for (const record of readResults(jobId)) {
+        if (record.placeUrl) checkpoint.urls.add(record.placeUrl);
+    }
+
+    let content;
+    try {
+        content = fs.readFileSync(checkpointPath(jobId), 'utf8');
+    } catch (error) {
+        return checkpoint;
+    }
+
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (entry.url && entry.search === searchIndex) checkpoint.urls.add(entry.url);
+        } catch (error) {
+            // A crash can leave the last line half-written, that listing is simply scraped again
+        }
+    }
+    return checkpoint;
+}
+
+module.exports = { appendCheckpoint, loadCheckpoint };
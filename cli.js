@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+// Command-line runner for scrapes, e.g. from cron or shell scripts:
+//   gmaps-extract search "dentists" --location 560001 --limit 200 --emails --out leads.csv
+//   gmaps-extract batch --file searches.csv --out leads.xlsx
+// Jobs run through the same queue and data directory as the server, so they show up in its history.
+
+// Without --out the export goes to stdout, so what the scraper and the other modules log goes to
+// stderr. Set before they are loaded, some of them log as they load.
+console.log = console.error;
+console.info = console.error;
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { parseArgs } = require('util');
+const { createJob, cancelJob, jobEvents } = require('./jobs');
+const { parseJobOptions } = require('./jobOptions');
+const { MAX_BATCH_SEARCHES, parseSearchesFile, pairSearches } = require('./batch');
+const { EXPORT_FORMATS, writeExport, findUnknownColumns } = require('./exporters');
+const { streamResults } = require('./results');
+const { streamReviews } = require('./reviews');
+const { closePool } = require('./browserPool');
+
+const EXIT_CODES = {
+    ok: 0,
+    failed: 1, // The scrape or the export failed
+    usage: 2, // Invalid command or options
+    noResults: 3, // The scrape finished without a single result
+    blocked: 4, // Google showed a consent or CAPTCHA page, resume the job later
+    interrupted: 130 // Stopped with Ctrl+C, partial results are still written
+};
+
+const USAGE = `Usage:
+  gmaps-extract search <query> [options]
+  gmaps-extract batch --file <searches.csv|xlsx> [options]
+
+Options:
+  -l, --location <text>    Location or pincode appended to the query (search only)
+      --pincode            Keep only results in the --location pincode
+      --file <path>        CSV/XLSX with query and location columns, one search per row (batch only)
+  -n, --limit <number>     Results per search
+  -e, --emails             Crawl business websites for emails and social profiles
+      --skip-known         Skip places already in the business table
+      --region <code>      Country for phone and address parsing, e.g. US
+      --fields <groups>    Extra field groups, e.g. hours,status or all
+      --reviews <number>   Reviews to collect per place, written to a Reviews sheet (xlsx only)
+      --reviews-sort <s>   relevant, newest, highest or lowest
+      --proxy-pool <name>  Proxy pool from PROXIES or PROXIES_FILE (default: default)
+      --proxy-rotation <r> context (new proxy per browser context) or job (one per job)
+      --processors <list>  Comma separated lead processors, "none" to skip lead scoring,
+                           add websiteTech to fetch each website for its CMS and https
+  -o, --out <path>         Output file, stdout when omitted
+  -f, --format <format>    ${Object.keys(EXPORT_FORMATS).join(', ')} (default: from --out, else csv)
+      --columns <keys>     Comma separated export columns
+      --sort <fields>      Sort the export, e.g. -score,name (- for descending)
+      --min-score <number> Only export leads scoring at least this much
+  -h, --help               Show this help
+
+Exit codes: 0 done, 1 failed, 2 invalid usage, 3 no results, 4 blocked, 130 interrupted`;
+
+const OPTIONS = {
+    location: { type: 'string', short: 'l' },
+    pincode: { type: 'boolean' },
+    file: { type: 'string' },
+    limit: { type: 'string', short: 'n' },
+    emails: { type: 'boolean', short: 'e' },
+    'skip-known': { type: 'boolean' },
+    region: { type: 'string' },
+    fields: { type: 'string' },
+    reviews: { type: 'string' },
+    'reviews-sort': { type: 'string' },
+    'proxy-pool': { type: 'string' },
+    'proxy-rotation': { type: 'string' },
+    processors: { type: 'string' },
+    out: { type: 'string', short: 'o' },
+    format: { type: 'string', short: 'f' },
+    columns: { type: 'string' },
+    sort: { type: 'string' },
+    'min-score': { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+function progressLine(event) {
+    const { counts } = event;
+    const percent = `${Math.round(event.progress || 0)}%`.padStart(4);
+    return `[${percent}] ${counts.results} results, ${counts.filtered} filtered, ${counts.new} new`;
+}
+
+// Progress overwrites one line on a terminal and is printed line by line into log files
+function reportProgress(event) {
+    if (process.stderr.isTTY) {
+        process.stderr.write(`\r${progressLine(event)}`);
+    } else {
+        process.stderr.write(`${progressLine(event)}\n`);
+    }
+}
+
+function log(message) {
+    process.stderr.write(`${process.stderr.isTTY ? '\r\x1b[K' : ''}${message}\n`);
+}
+
+// The job to run and where to write it, or an error message for invalid usage
+function parseCommand(argv) {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        return { error: error.message };
+    }
+    const [command, ...rest] = positionals;
+    if (values.help || !command) return { help: true };
+
+    let params;
+    let type = 'search';
+    if (command === 'search') {
+        const query = rest.join(' ').trim();
+        if (!query) return { error: 'search needs a query' };
+        params = { query, location: values.location || '', isPincode: !!values.pincode };
+    } else if (command === 'batch') {
+        if (!values.file) return { error: 'batch needs --file' };
+        let pairs;
+        try {
+            pairs = parseSearchesFile(fs.readFileSync(values.file));
+        } catch (error) {
+            return { error: `Could not read ${values.file}: ${error.message}` };
+        }
+        if (pairs.length === 0) return { error: `${values.file} has no searches` };
+        if (pairs.length > MAX_BATCH_SEARCHES) {
+            return { error: `A batch can have at most ${MAX_BATCH_SEARCHES} searches` };
+        }
+        type = 'batch';
+        params = { searches: pairSearches(pairs, values.pincode ? true : undefined) };
+    } else {
+        return { error: `Unknown command: ${command}` };
+    }
+
+    const limit = values.limit === undefined ? undefined : parseInt(values.limit, 10);
+    if (limit !== undefined && !(limit > 0)) return { error: '--limit must be a positive number' };
+
+    const { options, error } = parseJobOptions({
+        total: limit,
+        extractEmail: !!values.emails,
+        skipKnown: !!values['skip-known'],
+        region: values.region,
+        fields: values.fields,
+        reviews: values.reviews || values['reviews-sort']
+            ? { max: values.reviews, sort: values['reviews-sort'] }
+            : undefined,
+        proxyPool: values['proxy-pool'],
+        proxyRotation: values['proxy-rotation'],
+        processors: values.processors === undefined
+            ? undefined
+            : values.processors.split(',').map(name => name.trim()).filter(name => name && name !== 'none')
+    });
+    if (error) return { error };
+    if (values['min-score'] !== undefined && Number.isNaN(parseFloat(values['min-score']))) {
+        return { error: '--min-score must be a number' };
+    }
+
+    const extension = values.out && path.extname(values.out).slice(1).toLowerCase();
+    const format = values.format || (EXPORT_FORMATS[extension] ? extension : 'csv');
+    if (!EXPORT_FORMATS[format]) return { error: `Unsupported format: ${format}` };
+    // Only workbooks have room for a second sheet, the other formats would drop the reviews
+    if (options.reviews && format !== 'xlsx' && format !== 'xlsx-summary') {
+        return { error: `--reviews needs an xlsx export, ${format} cannot hold reviews` };
+    }
+    const unknownColumns = findUnknownColumns(values.columns);
+    if (unknownColumns.length > 0) return { error: `Unknown columns: ${unknownColumns.join(', ')}` };
+
+    return {
+        type,
+        params: { ...params, ...options },
+        output: {
+            out: values.out,
+            format,
+            columns: values.columns,
+            sort: values.sort,
+            minScore: values['min-score'],
+            includeReviews: !!options.reviews
+        }
+    };
+}
+
+// Resolves with the job's final event once it completes or fails
+function runJob(params, type) {
+    const job = createJob(params, type);
+    log(`Job ${job.id} started`);
+
+    let interrupted = false;
+    process.on('SIGINT', () => {
+        if (interrupted) process.exit(EXIT_CODES.interrupted);
+        interrupted = true;
+        log('Stopping, press Ctrl+C again to quit without writing results');
+        cancelJob(job.id);
+    });
+
+    return new Promise(resolve => {
+        jobEvents.on(job.id, (event) => {
+            if (event.type === 'progress') reportProgress(event);
+            else if (event.type === 'log') log(event.message);
+            else if (event.type === 'complete' || event.type === 'error') resolve({ job, event });
+        });
+    });
+}
+
+async function writeOutput(job, { out, format, columns, sort, minScore, includeReviews }) {
+    const stream = out ? fs.createWriteStream(out) : process.stdout;
+    await writeExport(streamResults(job.id, { sort, minScore }), {
+        format,
+        columns,
+        reviews: includeReviews ? streamReviews(job.id) : null
+    }, stream);
+    if (out) await once(stream, 'finish');
+}
+
+function exitCodeFor(job, event) {
+    if (event.type === 'error' || job.status === 'failed') return EXIT_CODES.failed;
+    if (job.status === 'cancelled') return EXIT_CODES.interrupted;
+    if (job.status === 'blocked') return EXIT_CODES.blocked;
+    return job.counts.results > 0 ? EXIT_CODES.ok : EXIT_CODES.noResults;
+}
+
+async function main() {
+    const command = parseCommand(process.argv.slice(2));
+    if (command.error) {
+        log(`${command.error}\nRun gmaps-extract --help for usage`);
+        return EXIT_CODES.usage;
+    }
+    if (command.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_CODES.ok;
+    }
+
+    const { job, event } = await runJob(command.params, command.type);
+    log(`Job ${job.status}${job.endReason ? ` (${job.endReason})` : ''}: ${job.counts.results} results${job.error ? `, ${job.error}` : ''}`);
+
+    try {
+        await writeOutput(job, command.output);
+        if (command.output.out) log(`Wrote ${command.output.out}`);
+    } catch (error) {
+        log(`Export failed: ${error.message}`);
+        return EXIT_CODES.failed;
+    }
+    return exitCodeFor(job, event);
+}
+
+main()
+    .catch((error) => {
+        log(`Unexpected error: ${error.stack || error.message}`);
+        return EXIT_CODES.failed;
+    })
+    .then(async (code) => {
+        await closePool();
+        process.exit(code);
+    });
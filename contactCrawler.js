@@ -0,0 +1,247 @@
+// Finds email addresses and social profiles on a business website by crawling its most
+// relevant pages. Parsing is kept separate from the browser so it works on plain strings.
+
+const DEFAULT_MAX_PAGES = 5;
+const PAGE_TIMEOUT = 8000;
+
+// In-site links worth visiting, the highest score is crawled first
+const LINK_KEYWORDS = [
+    { pattern: /contact|kontakt|contacto|get-in-touch|reach-us/i, score: 10 },
+    { pattern: /impressum|imprint/i, score: 8 },
+    { pattern: /about|about-us|who-we-are/i, score: 6 },
+    { pattern: /team|staff|people/i, score: 5 },
+    { pattern: /support|help|enquir|inquir/i, score: 4 },
+    { pattern: /legal|privacy|terms/i, score: 2 }
+];
+// Tried when the site doesn't link to any of the pages above
+const FALLBACK_PATHS = ['contact', 'contact-us', 'about'];
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|zip|mp4|mp3|docx?|xlsx?)(\?|#|$)/i;
+
+const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|bmp|ico|avif)$/i;
+const PLACEHOLDER_EMAILS = /^(example|test|email|name|user|username|your|yourname|info@example|john\.?doe|someone)@|@(example|domain|yourdomain|email|test|sentry)\./i;
+// Addresses injected by site builders and monitoring scripts rather than the business itself
+const VENDOR_DOMAINS = /@([a-z0-9-]+\.)*(sentry\.io|sentry-next\.wixpress\.com|wixpress\.com|wix\.com|squarespace\.com|godaddy\.com|shopify\.com|wordpress\.com|cloudflare\.com|mailchimp\.com|hubspot\.com|zendesk\.com)$/i;
+
+const SOCIAL_NETWORKS = {
+    facebook: /(^|\.)(facebook\.com|fb\.com)$/i,
+    instagram: /(^|\.)instagram\.com$/i,
+    linkedin: /(^|\.)linkedin\.com$/i,
+    twitter: /(^|\.)(twitter\.com|x\.com)$/i,
+    youtube: /(^|\.)(youtube\.com|youtu\.be)$/i,
+    whatsapp: /(^|\.)(wa\.me|whatsapp\.com)$/i
+};
+// Share buttons point at the network, not at the business profile
+const SHARE_LINKS = /sharer|\/share|intent\/tweet|shareArticle|\/plugins\//i;
+
+const NAMED_ENTITIES = { commat: '@', period: '.', amp: '&', nbsp: ' ', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] || match);
+}
+
+// Cloudflare email protection stores the address XORed with the first byte of the hex string
+function decodeCloudflareEmail(encoded) {
+    try {
+        const key = parseInt(encoded.slice(0, 2), 16);
+        let email = '';
+        for (let i = 2; i < encoded.length; i += 2) {
+            email += String.fromCharCode(parseInt(encoded.slice(i, i + 2), 16) ^ key);
+        }
+        return email;
+    } catch (error) {
+        return '';
+    }
+}
+
+// Turn "info [at] shop (dot) com", "info at shop dot com" and similar spellings back into real
+// addresses. A bare " at " is only rewritten before a spelled out " dot ", so prose such as
+// "find us at facebook.com" stays prose.
+function deobfuscate(text) {
+    return decodeEntities(text)
+        .replace(/\s*[[({<]\s*(at|@)\s*[\])}>]\s*/gi, '@')
+        .replace(/\s*[[({<]\s*(dot|\.)\s*[\])}>]\s*/gi, '.')
+        .replace(/\s+(at)\s+(?=[a-z0-9-]+\s+dot\s+[a-z]{2,})/gi, '@')
+        .replace(/(@[a-z0-9-]+)\s+dot\s+([a-z]{2,})/gi, '$1.$2');
+}
+
+function isUsableEmail(email) {
+    return email.length > 5
+        && email.length < 100
+        && !IMAGE_EXTENSIONS.test(email)
+        && !PLACEHOLDER_EMAILS.test(email)
+        && !VENDOR_DOMAINS.test(email)
+        // Hashes such as the ones in Sentry DSNs look like addresses but have a hex local part
+        && !/^[0-9a-f]{24,}@/i.test(email);
+}
+
+function findEmails(text) {
+    const emails = new Set();
+    for (const match of deobfuscate(text).match(EMAIL_REGEX) || []) {
+        const email = match.toLowerCase().replace(/^[._-]+|[._-]+$/g, '');
+        if (isUsableEmail(email)) emails.add(email);
+    }
+    return Array.from(emails);
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+function classifySocialLink(href) {
+    const host = hostOf(href);
+    if (!host || SHARE_LINKS.test(href)) return null;
+    return Object.keys(SOCIAL_NETWORKS).find(network => SOCIAL_NETWORKS[network].test(host)) || null;
+}
+
+function scoreLink(link) {
+    const haystack = `${link.href} ${link.text}`;
+    const keyword = LINK_KEYWORDS.find(({ pattern }) => pattern.test(haystack));
+    if (!keyword) return 0;
+    // Footer links to contact or imprint pages are the most reliable ones
+    return keyword.score + (link.inFooter ? 2 : 0);
+}
+
+// Same-site links ordered by how likely they are to list contact details
+function rankLinks(links, siteUrl) {
+    const siteHost = hostOf(siteUrl);
+    const best = new Map();
+    for (const link of links) {
+        const href = link.href.split('#')[0];
+        if (hostOf(href) !== siteHost || SKIPPED_EXTENSIONS.test(href)) continue;
+        const score = scoreLink(link);
+        if (score > 0 && score > (best.get(href) || 0)) best.set(href, score);
+    }
+    return Array.from(best.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([href]) => href);
+}
+
+// Emails and social profiles out of what the browser read from one page
+function parsePageContent(content, pageUrl) {
+    const emails = new Set(findEmails(`${content.html}\n${content.text}`));
+    for (const mailto of content.mailtos) {
+        findEmails(decodeURIComponent(mailto.replace(/^mailto:/i, '').split('?')[0])).forEach(email => emails.add(email));
+    }
+    for (const encoded of content.cfEmails) {
+        findEmails(decodeCloudflareEmail(encoded)).forEach(email => emails.add(email));
+    }
+
+    const socialLinks = {};
+    for (const link of content.links) {
+        const network = classifySocialLink(link.href);
+        if (network && !socialLinks[network]) socialLinks[network] = link.href;
+    }
+
+    return {
+        emails: Array.from(emails).map(email => ({ email, source: pageUrl })),
+        socialLinks,
+        links: rankLinks(content.links, pageUrl)
+    };
+}
+
+// Read everything the parser needs in one round trip to the browser
+function readPage(page) {
+    return page.evaluate(() => {
+        const links = Array.from(document.querySelectorAll('a[href]')).map(link => ({
+            href: link.href,
+            text: (link.textContent || '').trim().slice(0, 100),
+            inFooter: !!link.closest('footer, #footer, .footer')
+        }));
+        const cfEmails = Array.from(document.querySelectorAll('[data-cfemail]'))
+            .map(el => el.getAttribute('data-cfemail'))
+            .concat(links
+                .filter(link => link.href.includes('/cdn-cgi/l/email-protection#'))
+                .map(link => link.href.split('#')[1]));
+
+        return {
+            html: document.documentElement.innerHTML,
+            text: document.body ? document.body.innerText : '',
+            mailtos: links.filter(link => /^mailto:/i.test(link.href)).map(link => link.href),
+            cfEmails,
+            links: links.filter(link => /^https?:/i.test(link.href))
+        };
+    });
+}
+
+async function visit(page, url) {
+    try {
+        await page.goto(url, { timeout: PAGE_TIMEOUT, waitUntil: 'domcontentloaded' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function normalizeWebsite(website) {
+    let url = website.trim();
+    if (!/^https?:\/\//i.test(url)) url = `https://${url}`;
+    return url;
+}
+
+// Prefer addresses on the business's own domain, e.g. info@shop.com for shop.com
+function pickPrimaryEmail(emails, website) {
+    const siteHost = hostOf(website);
+    const own = emails.find(({ email }) => siteHost && email.split('@')[1].replace(/^www\./, '') === siteHost);
+    return (own || emails[0] || {}).email || null;
+}
+
+// Crawl the homepage and up to maxPages - 1 related pages of a business website
+async function crawlContacts(page, website, { maxPages = DEFAULT_MAX_PAGES } = {}) {
+    const startUrl = normalizeWebsite(website);
+    const found = new Map();
+    const socialLinks = {};
+    const visited = new Set();
+    let queue = [startUrl];
+    let fallbackAdded = false;
+
+    while (queue.length > 0 && visited.size < maxPages) {
+        const url = queue.shift();
+        if (visited.has(url)) continue;
+        visited.add(url);
+
+        if (!(await visit(page, url))) continue;
+        const content = await readPage(page).catch(() => null);
+        if (!content) continue;
+
+        const result = parsePageContent(content, page.url());
+        for (const entry of result.emails) {
+            if (!found.has(entry.email)) found.set(entry.email, entry);
+        }
+        for (const [network, href] of Object.entries(result.socialLinks)) {
+            if (!socialLinks[network]) socialLinks[network] = href;
+        }
+
+        // Ranked links from every page, best first, without revisiting
+        queue = Array.from(new Set([...queue, ...result.links])).filter(link => !visited.has(link));
+        if (queue.length === 0 && !fallbackAdded) {
+            fallbackAdded = true;
+            queue = FALLBACK_PATHS.map(path => `${startUrl.replace(/\/+$/, '')}/${path}`);
+        }
+    }
+
+    const emails = Array.from(found.values());
+    return {
+        email: pickPrimaryEmail(emails, startUrl),
+        emails,
+        socialLinks,
+        pagesVisited: Array.from(visited)
+    };
+}
+
+module.exports = {
+    crawlContacts,
+    parsePageContent,
+    findEmails,
+    deobfuscate,
+    decodeCloudflareEmail,
+    classifySocialLink,
+    rankLinks
+};
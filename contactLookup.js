@@ -0,0 +1,82 @@
+// Queue of contact crawler runs on pooled browsers, so lookups start as soon as a slot frees up
+// instead of being handed to a worker that may still be busy
+const { acquireContext } = require('./browserPool');
+const { crawlContacts } = require('./contactCrawler');
+const { proxyForContext, contextProxy, reportProxy, isProxyError } = require('./proxies');
+const { randomFingerprint } = require('./fingerprints');
+
+const EMAIL_CONCURRENCY = parseInt(process.env.EMAIL_CONCURRENCY, 10) || 4;
+// The contact crawler visits several pages of a site per lookup
+const LOOKUP_TIMEOUT = 45000;
+const NO_CONTACTS = { email: 'N/A', emails: [], socialLinks: {} };
+
+const queue = [];
+let active = 0;
+const metrics = { completed: 0, failed: 0, timedOut: 0, skipped: 0 };
+
+// `proxyOptions` are the scraping job's, so its lookups go out through the same proxies
+async function runLookup(website, proxyOptions) {
+    const { proxy, error } = proxyForContext(proxyOptions);
+    if (error) throw new Error(error);
+    const lease = await acquireContext({ ...randomFingerprint(), proxy: contextProxy(proxy) }, { blockResources: true });
+    let timeoutId;
+    let failed = false;
+    try {
+        const page = await lease.context.newPage();
+        const timeout = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => reject(Object.assign(new Error('Contact lookup timed out'), { timedOut: true })), LOOKUP_TIMEOUT);
+        });
+        const contacts = await Promise.race([crawlContacts(page, website), timeout]);
+        return { ...contacts, email: contacts.email || 'N/A' };
+    } catch (error) {
+        failed = true;
+        if (isProxyError(error)) reportProxy(proxy, 'failed', error.message);
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+        // Closing the context also stops a crawl that timed out
+        await lease.release({ failed });
+    }
+}
+
+function drain() {
+    while (active < EMAIL_CONCURRENCY && queue.length > 0) {
+        const { website, signal, proxyOptions, resolve } = queue.shift();
+        // Lookups of a cancelled job are dropped instead of crawled
+        if (signal && signal.aborted) {
+            metrics.skipped++;
+            resolve(NO_CONTACTS);
+            continue;
+        }
+
+        active++;
+        runLookup(website, proxyOptions)
+            .then(contacts => {
+                metrics.completed++;
+                resolve(contacts);
+            }, error => {
+                metrics[error.timedOut ? 'timedOut' : 'failed']++;
+                console.error(`Contact lookup failed for ${website}:`, error.message);
+                resolve(NO_CONTACTS);
+            })
+            .finally(() => {
+                active--;
+                drain();
+            });
+    }
+}
+
+// { email, emails, socialLinks } for a website, never rejects
+function lookupContacts(website, signal, proxyOptions) {
+    if (!website || website === 'N/A') return Promise.resolve(NO_CONTACTS);
+    return new Promise(resolve => {
+        queue.push({ website, signal, proxyOptions, resolve });
+        drain();
+    });
+}
+
+function getLookupMetrics() {
+    return { concurrency: EMAIL_CONCURRENCY, active, queued: queue.length, ...metrics };
+}
+
+module.exports = { lookupContacts, getLookupMetrics };
@@ -0,0 +1,104 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week") in server local time.
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 8-18/2) and the usual @ shortcuts.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+// Give up looking for the next run after this many minutes, e.g. for "0 0 31 2 *"
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+function parseValue(value, field) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = index !== -1 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+    return Number.isInteger(number) && number >= field.min && number <= field.max ? number : null;
+}
+
+// Set of allowed values for one field, or null when the field is invalid
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) return null;
+
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+            if (start === null || end === null || start > end) return null;
+        }
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    // Sunday can be written as 0 or 7
+    if (field.name === 'dayOfWeek' && values.has(7)) values.add(0);
+    return values;
+}
+
+// { schedule } for a valid expression, { error } otherwise
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const parts = (SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        return { error: 'cron must have 5 fields: minute hour day-of-month month day-of-week' };
+    }
+
+    const schedule = {};
+    for (let i = 0; i < FIELDS.length; i++) {
+        const values = parseField(parts[i], FIELDS[i]);
+        if (!values) return { error: `Invalid ${FIELDS[i].name} field in cron: ${parts[i]}` };
+        schedule[FIELDS[i].name] = values;
+    }
+    // Like cron, when both day fields are restricted a day matches if either one does
+    schedule.restrictedDays = parts[2] !== '*' && parts[4] !== '*';
+    return { schedule };
+}
+
+function matchesDay(schedule, date) {
+    const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+    const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+    return schedule.restrictedDays ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+// First minute after `after` that matches, null when there is none
+function nextRun(expression, after = new Date()) {
+    const { schedule, error } = parseCron(expression);
+    if (error) return null;
+
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+        if (!schedule.month.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!schedule.hour.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!schedule.minute.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = { parseCron, nextRun };
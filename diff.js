@@ -0,0 +1,110 @@
+// Changes between two runs of the same search: places that are new, gone, closed, or whose
+// contact details and ratings changed
+const path = require('path');
+const { dataPath, readJson, writeJson } = require('./store');
+const { streamResults } = require('./results');
+
+const DIFFS_DIR = dataPath('diffs');
+const DIFF_FIELDS = ['phone', 'website', 'rating', 'reviews'];
+const CLOSED_STATUSES = ['permanently_closed', 'temporarily_closed'];
+
+// The same business across runs, by its master table ID when it has one
+function placeKey(record) {
+    return record.businessId || record.placeId || record.placeUrl || `${record.name}|${record.address}`;
+}
+
+async function loadRun(jobId) {
+    const records = new Map();
+    for await (const record of streamResults(jobId)) {
+        records.set(placeKey(record), record);
+    }
+    return records;
+}
+
+function fieldValue(record, field) {
+    // E.164 numbers compare equal however the listing formats them
+    const value = field === 'phone' && record.phoneE164 && record.phoneE164 !== 'N/A' ? record.phoneE164 : record[field];
+    return value === undefined || value === null ? 'N/A' : String(value).trim();
+}
+
+function changedFields(previous, current) {
+    const changes = {};
+    for (const field of DIFF_FIELDS) {
+        const from = fieldValue(previous, field);
+        const to = fieldValue(current, field);
+        if (from !== to) changes[field] = { from, to };
+    }
+    return changes;
+}
+
+function isClosed(record) {
+    return CLOSED_STATUSES.includes(record.businessStatus);
+}
+
+async function compareRuns(previousJobId, jobId) {
+    const previous = await loadRun(previousJobId);
+    const current = await loadRun(jobId);
+    const diff = { added: [], removed: [], closed: [], changed: [] };
+
+    for (const [key, record] of current) {
+        const before = previous.get(key);
+        if (!before) {
+            diff.added.push(record);
+            continue;
+        }
+        if (isClosed(record) && !isClosed(before)) diff.closed.push(record);
+        const changes = changedFields(before, record);
+        if (Object.keys(changes).length > 0) diff.changed.push({ ...record, changes });
+    }
+    for (const [key, record] of previous) {
+        if (!current.has(key)) diff.removed.push(record);
+    }
+    return diff;
+}
+
+function diffPath(jobId) {
+    return path.join(DIFFS_DIR, `${jobId}.json`);
+}
+
+function summarizeDiff(diff) {
+    return {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        closed: diff.closed.length,
+        changed: diff.changed.length
+    };
+}
+
+// Compare a finished run with the one before it and keep the result next to the job
+async function createDiff({ scheduleId, previousJobId, jobId }) {
+    const diff = await compareRuns(previousJobId, jobId);
+    const record = {
+        scheduleId,
+        jobId,
+        previousJobId,
+        createdAt: new Date().toISOString(),
+        summary: summarizeDiff(diff),
+        ...diff
+    };
+    writeJson(diffPath(jobId), record);
+    return record;
+}
+
+function getDiff(jobId) {
+    return readJson(diffPath(jobId), null);
+}
+
+// One row per change for exports, `change` says which kind it is
+function diffRows(diff) {
+    const formatChanges = changes => Object.entries(changes)
+        .map(([field, { from, to }]) => `${field}: ${from} -> ${to}`)
+        .join('; ');
+    return [
+        ...diff.added.map(record => ({ ...record, change: 'new' })),
+        ...diff.removed.map(record => ({ ...record, change: 'disappeared' })),
+        ...diff.closed.map(record => ({ ...record, change: 'closed' })),
+        ...diff.changed.map(record => ({ ...record, change: 'changed', changedFields: formatChanges(record.changes) }))
+    ];
+}
+
+module.exports = { DIFF_FIELDS, compareRuns, createDiff, getDiff, diffRows };
@@ -0,0 +1,149 @@
+// Quality signals for the emails found on business websites, without sending any mail:
+// syntax, MX records, role accounts, disposable and free-mail domains, and website match.
+const dns = require('dns');
+
+const MX_TIMEOUT = 5000;
+
+const SYNTAX_REGEX = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+// Shared inboxes rather than a person
+const ROLE_ACCOUNTS = new Set([
+    'info', 'sales', 'support', 'contact', 'admin', 'office', 'hello', 'enquiry', 'enquiries', 'inquiry',
+    'help', 'billing', 'accounts', 'marketing', 'hr', 'jobs', 'careers', 'team', 'mail', 'booking',
+    'bookings', 'reservations', 'service', 'orders', 'noreply', 'no-reply', 'webmaster', 'postmaster'
+]);
+const FREE_MAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.in', 'yahoo.co.uk', 'hotmail.com', 'outlook.com',
+    'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com', 'rediffmail.com', 'protonmail.com', 'proton.me',
+    'zoho.com', 'gmx.com', 'gmx.de', 'mail.com', 'yandex.com', 'yandex.ru', 'qq.com', '163.com'
+]);
+const DISPOSABLE_DOMAINS = new Set([
+    'mailinator.com', 'guerrillamail.com', '10minutemail.com', 'tempmail.com', 'temp-mail.org', 'trashmail.com',
+    'yopmail.com', 'sharklasers.com', 'getnada.com', 'dispostable.com', 'throwawaymail.com', 'maildrop.cc',
+    'fakeinbox.com', 'mailnesia.com', 'mintemail.com', 'emailondeck.com', 'moakt.com', 'tempail.com'
+]);
+
+// Anything with resolveMx(domain) and resolve4(domain) works, e.g. a stub in tests. DNS_SERVERS
+// points the default resolver at specific servers, e.g. "127.0.0.1:5353" for a local stub server.
+function createDefaultResolver() {
+    const resolver = new dns.promises.Resolver({ timeout: MX_TIMEOUT, tries: 2 });
+    if (process.env.DNS_SERVERS) resolver.setServers(process.env.DNS_SERVERS.split(','));
+    return resolver;
+}
+
+// The domain doesn't exist, as opposed to DNS not answering
+const NOT_FOUND_CODES = ['ENOTFOUND', 'NXDOMAIN'];
+
+let resolver = null;
+// One lookup per domain, shared by every business that uses it. Failed lookups are dropped
+// again, so one DNS timeout doesn't mark the domain invalid until the server restarts.
+const mxCache = new Map();
+
+function setDnsResolver(customResolver) {
+    resolver = customResolver;
+    mxCache.clear();
+}
+
+// Without MX records mail goes to the domain's A record (RFC 5321 section 5.1)
+function lookupImplicitMx(domain) {
+    return Promise.resolve()
+        .then(() => resolver.resolve4(domain))
+        .then(addresses => Array.isArray(addresses) && addresses.length > 0)
+        .catch(error => (NOT_FOUND_CODES.includes(error.code) || error.code === 'ENODATA' ? false : null));
+}
+
+// true or false once DNS has answered, null when the lookup itself failed
+function lookupMx(domain) {
+    if (!mxCache.has(domain)) {
+        if (!resolver) resolver = createDefaultResolver();
+        const lookup = Promise.resolve()
+            .then(() => resolver.resolveMx(domain))
+            .then(
+                // A lone MX without an exchange is the "null MX" of domains that take no mail
+                records => (Array.isArray(records) && records.length > 0
+                    ? records.some(record => record.exchange)
+                    : lookupImplicitMx(domain)),
+                error => {
+                    if (NOT_FOUND_CODES.includes(error.code)) return false;
+                    return error.code === 'ENODATA' ? lookupImplicitMx(domain) : null;
+                })
+            .then(hasMx => {
+                if (hasMx === null) mxCache.delete(domain);
+                return hasMx;
+            });
+        mxCache.set(domain, lookup);
+    }
+    return mxCache.get(domain);
+}
+
+function websiteDomain(website) {
+    if (!website || website === 'N/A') return null;
+    try {
+        const url = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Subdomains count as a match, e.g. mail.shop.com for shop.com and shop.com for blog.shop.com
+function domainsMatch(emailDomain, siteDomain) {
+    if (!siteDomain) return false;
+    return emailDomain === siteDomain
+        || emailDomain.endsWith(`.${siteDomain}`)
+        || siteDomain.endsWith(`.${emailDomain}`);
+}
+
+// valid, risky, unknown or invalid, with a 0-100 confidence that the address reaches the business
+function scoreEmail({ syntaxValid, hasMx, isRole, isDisposable, isFreeMail, matchesWebsite }) {
+    if (!syntaxValid || hasMx === false) return { emailStatus: 'invalid', emailConfidence: 0 };
+    if (isDisposable) return { emailStatus: 'risky', emailConfidence: 10 };
+
+    let confidence = hasMx ? 60 : 30;
+    if (matchesWebsite) confidence += 30;
+    if (isRole) confidence -= 10;
+    if (isFreeMail) confidence -= 10;
+    confidence = Math.min(Math.max(confidence, 0), 100);
+
+    return { emailStatus: hasMx ? 'valid' : 'unknown', emailConfidence: confidence };
+}
+
+async function verifyEmail(email, website) {
+    const address = String(email || '').trim().toLowerCase();
+    const [localPart, domain = ''] = address.split('@');
+    const syntaxValid = SYNTAX_REGEX.test(address) && address.length <= 254 && localPart.length <= 64;
+
+    const checks = {
+        syntaxValid,
+        hasMx: syntaxValid ? await lookupMx(domain) : false,
+        isRole: ROLE_ACCOUNTS.has(localPart),
+        isDisposable: DISPOSABLE_DOMAINS.has(domain),
+        isFreeMail: FREE_MAIL_DOMAINS.has(domain),
+        matchesWebsite: domainsMatch(domain, websiteDomain(website))
+    };
+    return { email: address, ...checks, ...scoreEmail(checks) };
+}
+
+// Verify every email found for a business and make the most trustworthy one its primary email
+async function verifyBusinessEmails(business) {
+    const found = Array.isArray(business.emails) && business.emails.length > 0
+        ? business.emails
+        : [{ email: business.email }];
+    const candidates = found.filter(entry => entry.email && entry.email !== 'N/A');
+    if (candidates.length === 0) return { emailStatus: 'N/A', emailConfidence: 'N/A' };
+
+    const emails = await Promise.all(candidates.map(async entry => ({
+        ...entry,
+        ...(await verifyEmail(entry.email, business.website))
+    })));
+    const best = emails.reduce((top, entry) => (entry.emailConfidence > top.emailConfidence ? entry : top));
+
+    return {
+        email: best.email,
+        emails: Array.isArray(business.emails) ? emails : business.emails,
+        emailStatus: best.emailStatus,
+        emailConfidence: best.emailConfidence
+    };
+}
+
+module.exports = { verifyEmail, verifyBusinessEmails, setDnsResolver };
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const { dataPath, ensureDir } = require('./store');
+
+const EVENTS_DIR = dataPath('events');
+const sequences = new Map(); // jobId -> last event ID handed out
+
+function eventsPath(jobId) {
+    return path.join(EVENTS_DIR, `${jobId}.ndjson`);
+}
+
+function readEvents(jobId, afterId = 0) {
+    let content;
+    try {
+        content = fs.readFileSync(eventsPath(jobId), 'utf8');
+    } catch (error) {
+        return [];
+    }
+
+    const events = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const event = JSON.parse(line);
+            if (event.id > afterId) events.push(event);
+        } catch (error) {
+            // Skip a line cut short by a crash
+        }
+    }
+    return events;
+}
+
+function nextSequence(jobId) {
+    if (!sequences.has(jobId)) {
+        // Continue numbering from disk so IDs stay unique across restarts
+        const last = readEvents(jobId).reduce((max, event) => Math.max(max, event.id), 0);
+        sequences.set(jobId, last);
+    }
+    const id = sequences.get(jobId) + 1;
+    sequences.set(jobId, id);
+    return id;
+}
+
+// Give the event a sequence number and keep it on disk for clients that reconnect later
+function recordEvent(jobId, event) {
+    const entry = { id: nextSequence(jobId), ...event, time: new Date().toISOString() };
+    ensureDir(EVENTS_DIR);
+    fs.appendFileSync(eventsPath(jobId), JSON.stringify(entry) + '\n');
+    return entry;
+}
+
+module.exports = { recordEvent, readEvents };
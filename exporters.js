@@ -0,0 +1,352 @@
+const xlsx = require('xlsx');
+const { createObjectCsvStringifier } = require('csv-writer');
+
+function formatBoolean(value) {
+    if (value === true) return 'Yes';
+    if (value === false) return 'No';
+    return value;
+}
+
+function formatList(list) {
+    return Array.isArray(list) ? list.join('; ') : list;
+}
+
+// Flatten object fields into a single spreadsheet cell, e.g. "Monday: 9 am to 5 pm; Tuesday: ..."
+function formatHours(hours) {
+    if (!hours || typeof hours !== 'object') return hours;
+    return Object.entries(hours).map(([day, time]) => `${day}: ${time}`).join('; ');
+}
+
+function formatServiceOptions(options) {
+    if (!options || typeof options !== 'object') return options;
+    return Object.entries(options)
+        .filter(([, value]) => value !== 'N/A')
+        .map(([option, value]) => `${option}: ${formatBoolean(value)}`)
+        .join('; ');
+}
+
+// "info@shop.com (https://shop.com/contact)", with the page each address was found on
+function formatEmails(emails) {
+    if (!Array.isArray(emails) || emails.length === 0) return 'N/A';
+    return emails.map(({ email, source }) => (source ? `${email} (${source})` : email)).join('; ');
+}
+
+function socialLink(item, network) {
+    return (item.socialLinks && item.socialLinks[network]) || 'N/A';
+}
+
+// Every exportable field in its default order, `key` is what clients pass in `columns`
+const COLUMNS = [
+    { key: 'name', header: 'Title', value: item => item.name },
+    { key: 'category', header: 'Category', value: item => item.category },
+    { key: 'rating', header: 'Rating', value: item => item.rating },
+    { key: 'reviews', header: 'Reviews', value: item => item.reviews },
+    { key: 'countryCode', header: 'Country Code', value: item => item.countryCode || 'N/A' },
+    { key: 'phone', header: 'Phone', value: item => item.phone },
+    { key: 'phoneE164', header: 'Phone (E.164)', value: item => item.phoneE164 || 'N/A' },
+    { key: 'phoneRaw', header: 'Phone (as listed)', value: item => item.phoneRaw || item.phone },
+    { key: 'phoneType', header: 'Phone Type', value: item => item.phoneType || 'N/A' },
+    { key: 'whatsappUrl', header: 'WhatsApp Chat', value: item => item.whatsappUrl || 'N/A' },
+    { key: 'address', header: 'Address', value: item => item.address },
+    { key: 'website', header: 'Website', value: item => item.website },
+    { key: 'street', header: 'Street', value: item => item.street || 'N/A' },
+    { key: 'locality', header: 'Locality', value: item => item.locality || 'N/A' },
+    { key: 'pincode', header: 'Pincode', value: item => item.pincode || 'N/A' },
+    { key: 'city', header: 'City', value: item => item.city || 'N/A' },
+    { key: 'state', header: 'State', value: item => item.state || 'N/A' },
+    { key: 'country', header: 'Country', value: item => item.country || 'N/A' },
+    { key: 'email', header: 'Email', value: item => item.email || 'N/A' },
+    { key: 'emailStatus', header: 'Email Status', value: item => item.emailStatus || 'N/A' },
+    { key: 'emailConfidence', header: 'Email Confidence', value: item => item.emailConfidence ?? 'N/A' },
+    { key: 'emails', header: 'All Emails', value: item => formatEmails(item.emails) },
+    { key: 'facebook', header: 'Facebook', value: item => socialLink(item, 'facebook') },
+    { key: 'instagram', header: 'Instagram', value: item => socialLink(item, 'instagram') },
+    { key: 'linkedin', header: 'LinkedIn', value: item => socialLink(item, 'linkedin') },
+    { key: 'twitter', header: 'X (Twitter)', value: item => socialLink(item, 'twitter') },
+    { key: 'youtube', header: 'YouTube', value: item => socialLink(item, 'youtube') },
+    { key: 'whatsapp', header: 'WhatsApp', value: item => socialLink(item, 'whatsapp') },
+    { key: 'latitude', header: 'Latitude', value: item => item.latitude },
+    { key: 'longitude', header: 'Longitude', value: item => item.longitude },
+    { key: 'placeId', header: 'Place ID', value: item => item.placeId },
+    { key: 'cid', header: 'CID', value: item => item.cid },
+    { key: 'plusCode', header: 'Plus Code', value: item => item.plusCode },
+    { key: 'distanceKm', header: 'Distance (km)', value: item => item.distanceKm },
+    { key: 'openingHours', header: 'Opening Hours', value: item => formatHours(item.openingHours) },
+    { key: 'businessStatus', header: 'Business Status', value: item => item.businessStatus },
+    { key: 'priceLevel', header: 'Price Level', value: item => item.priceLevel },
+    { key: 'priceRange', header: 'Price Range', value: item => item.priceRange },
+    { key: 'serviceOptions', header: 'Service Options', value: item => formatServiceOptions(item.serviceOptions) },
+    { key: 'attributes', header: 'Attributes', value: item => formatList(item.attributes) },
+    { key: 'claimed', header: 'Claimed', value: item => formatBoolean(item.claimed) },
+    { key: 'menuUrl', header: 'Menu', value: item => item.menuUrl },
+    { key: 'bookingUrl', header: 'Booking', value: item => item.bookingUrl },
+    { key: 'orderUrl', header: 'Order Online', value: item => item.orderUrl },
+    { key: 'photoCount', header: 'Photos', value: item => item.photoCount },
+    { key: 'reviewsCollected', header: 'Reviews Collected', value: item => item.reviewsCollected },
+    { key: 'searchQuery', header: 'Search Query', value: item => item.searchQuery },
+    { key: 'searchLocation', header: 'Search Location', value: item => item.searchLocation },
+    { key: 'isNew', header: 'New Lead', value: item => (item.isNew === undefined ? 'N/A' : item.isNew ? 'Yes' : 'No') },
+    { key: 'score', header: 'Lead Score', value: item => item.score },
+    { key: 'tags', header: 'Tags', value: item => formatList(item.tags) },
+    { key: 'websiteTech', header: 'Website Tech', value: item => formatList(item.websiteTech) },
+    { key: 'domainAgeDays', header: 'Domain Age (days)', value: item => item.domainAgeDays }
+];
+
+// Columns of a schedule run's diff export, every business column prefixed with what changed
+const DIFF_COLUMNS = [
+    { key: 'change', header: 'Change', value: item => item.change },
+    { key: 'changedFields', header: 'Changed Fields', value: item => item.changedFields || '' },
+    ...COLUMNS
+];
+
+// Columns of the reviews sheet or file
+const REVIEW_COLUMNS = [
+    { key: 'businessName', header: 'Business', value: review => review.businessName },
+    { key: 'businessId', header: 'Business ID', value: review => review.businessId },
+    { key: 'reviewer', header: 'Reviewer', value: review => review.reviewer },
+    { key: 'rating', header: 'Rating', value: review => review.rating },
+    { key: 'date', header: 'Date', value: review => review.date },
+    { key: 'text', header: 'Review', value: review => review.text },
+    { key: 'ownerResponse', header: 'Owner Response', value: review => review.ownerResponse },
+    { key: 'photoCount', header: 'Photos', value: review => review.photoCount }
+];
+
+const EXPORT_FORMATS = {
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    'xlsx-summary': { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson; charset=utf-8' },
+    vcf: { extension: 'vcf', contentType: 'text/vcard; charset=utf-8' }
+};
+
+function findColumn(name, columnSet = COLUMNS) {
+    const wanted = String(name).trim().toLowerCase();
+    return columnSet.find(column => column.key.toLowerCase() === wanted || column.header.toLowerCase() === wanted);
+}
+
+// Columns may be given by key or by header, as an array or a comma separated string
+function parseColumns(columns) {
+    if (!columns) return [];
+    return Array.isArray(columns) ? columns : String(columns).split(',').filter(Boolean);
+}
+
+function findUnknownColumns(columns, columnSet = COLUMNS) {
+    return parseColumns(columns).filter(name => !findColumn(name, columnSet));
+}
+
+function resolveColumns(columns, columnSet = COLUMNS) {
+    const selected = parseColumns(columns).map(name => findColumn(name, columnSet)).filter(Boolean);
+    return selected.length > 0 ? selected : columnSet;
+}
+
+function formatRow(item, columns) {
+    const row = {};
+    for (const column of columns) {
+        const value = column.value(item);
+        row[column.header] = value === undefined || value === null ? 'N/A' : value;
+    }
+    return row;
+}
+
+function ratingBand(rating) {
+    const value = parseFloat(String(rating).replace(',', '.'));
+    if (Number.isNaN(value)) return 'No rating';
+    if (value >= 4.5) return '4.5 - 5.0';
+    if (value >= 4) return '4.0 - 4.4';
+    if (value >= 3) return '3.0 - 3.9';
+    return 'Below 3.0';
+}
+
+function countBy(data, getKey) {
+    const counts = new Map();
+    for (const item of data) {
+        const key = getKey(item) || 'N/A';
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+function buildSummarySheet(data) {
+    const rows = [['Total businesses', data.length]];
+    const sections = [
+        ['City', item => item.city],
+        ['Category', item => item.category],
+        ['Rating band', item => ratingBand(item.rating)]
+    ];
+
+    for (const [title, getKey] of sections) {
+        rows.push([], [title, 'Count'], ...countBy(data, getKey));
+    }
+    return xlsx.utils.aoa_to_sheet(rows);
+}
+
+function buildSheet(data, columns) {
+    return xlsx.utils.json_to_sheet(data.map(item => formatRow(item, columns)), {
+        header: columns.map(column => column.header)
+    });
+}
+
+function toXlsx(data, columns, { withSummary, reviews } = {}) {
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, buildSheet(data, columns), 'Results');
+    if (withSummary) {
+        xlsx.utils.book_append_sheet(workbook, buildSummarySheet(data), 'Summary');
+    }
+    if (reviews) {
+        xlsx.utils.book_append_sheet(workbook, buildSheet(reviews, REVIEW_COLUMNS), 'Reviews');
+    }
+    return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function escapeVCard(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '' && value !== 'N/A';
+}
+
+// vCard 3.0, one card per business, for importing into phones and CRMs
+function toVCard(item) {
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVCard(item.name || 'Unknown')}`, `ORG:${escapeVCard(item.name || 'Unknown')}`];
+
+    if (hasValue(item.phoneE164)) {
+        lines.push(`TEL;TYPE=WORK,VOICE:${escapeVCard(item.phoneE164)}`);
+    } else if (hasValue(item.phone)) {
+        const countryCode = item.countryCode && item.countryCode !== 'N/A' ? item.countryCode : '';
+        lines.push(`TEL;TYPE=WORK,VOICE:${escapeVCard(`${countryCode} ${item.phone}`.trim())}`);
+    }
+    if (hasValue(item.email)) lines.push(`EMAIL;TYPE=INTERNET,WORK:${escapeVCard(item.email)}`);
+    for (const { email } of Array.isArray(item.emails) ? item.emails : []) {
+        if (email !== item.email) lines.push(`EMAIL;TYPE=INTERNET:${escapeVCard(email)}`);
+    }
+    if (hasValue(item.website)) lines.push(`URL:${escapeVCard(item.website)}`);
+    if (hasValue(item.address)) {
+        const parts = [item.city, item.state, item.pincode, item.country].map(part => (hasValue(part) ? escapeVCard(part) : ''));
+        lines.push(`ADR;TYPE=WORK:;;${escapeVCard(item.address)};${parts.join(';')}`);
+    }
+    if (hasValue(item.category)) lines.push(`CATEGORIES:${escapeVCard(item.category)}`);
+    if (hasValue(item.latitude) && hasValue(item.longitude)) lines.push(`GEO:${item.latitude};${item.longitude}`);
+    lines.push('END:VCARD');
+    return lines.join('\r\n');
+}
+
+// Text formats are rendered record by record so they can be streamed straight from storage
+const TEXT_RENDERERS = {
+    csv: (columns) => {
+        const stringifier = createObjectCsvStringifier({
+            header: columns.map(column => ({ id: column.header, title: column.header }))
+        });
+        return {
+            header: stringifier.getHeaderString(),
+            record: item => stringifier.stringifyRecords([formatRow(item, columns)]),
+            footer: ''
+        };
+    },
+    json: (columns) => ({
+        header: '[',
+        record: (item, index) => `${index > 0 ? ',' : ''}\n  ${JSON.stringify(formatRow(item, columns))}`,
+        footer: '\n]\n'
+    }),
+    ndjson: (columns) => ({
+        header: '',
+        record: item => JSON.stringify(formatRow(item, columns)) + '\n',
+        footer: ''
+    }),
+    // vCards always carry their fixed set of fields
+    vcf: () => ({
+        header: '',
+        record: item => toVCard(item) + '\r\n',
+        footer: ''
+    })
+};
+
+function isXlsx(format) {
+    return format === 'xlsx' || format === 'xlsx-summary';
+}
+
+// Render scraped records in the requested format
+function exportData(data, { format = 'xlsx', columns } = {}) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const selected = resolveColumns(columns);
+    let body;
+    if (isXlsx(format)) {
+        body = toXlsx(data, selected, { withSummary: format === 'xlsx-summary' });
+    } else {
+        const renderer = TEXT_RENDERERS[format](selected);
+        body = renderer.header + data.map(renderer.record).join('') + renderer.footer;
+    }
+
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    return { body, contentType, filename: `google_maps_data.${extension}` };
+}
+
+async function collect(items) {
+    const list = [];
+    for await (const item of items) list.push(item);
+    return list;
+}
+
+// Resolves once the stream wants more data, rejects when it is closed first, e.g. by a client
+// that dropped the download
+function drained(stream) {
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            cleanup();
+            resolve();
+        };
+        const onClose = (error) => {
+            cleanup();
+            reject(error || new Error('The export stream closed before the export finished'));
+        };
+        const cleanup = () => {
+            stream.off('drain', onDrain);
+            stream.off('close', onClose);
+            stream.off('error', onClose);
+        };
+        stream.on('drain', onDrain);
+        stream.on('close', onClose);
+        stream.on('error', onClose);
+    });
+}
+
+// Same as exportData but pulls records from an async iterable and writes them to a stream.
+// `columnSet` switches to another set of columns such as REVIEW_COLUMNS, and `reviews`
+// adds a Reviews sheet to xlsx files.
+async function writeExport(records, { format = 'xlsx', columns, columnSet = COLUMNS, reviews } = {}, stream) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const selected = resolveColumns(columns, columnSet);
+    if (isXlsx(format)) {
+        // The xlsx writer needs the whole workbook in memory
+        const data = await collect(records);
+        stream.end(toXlsx(data, selected, {
+            withSummary: format === 'xlsx-summary' && columnSet === COLUMNS,
+            reviews: reviews && await collect(reviews)
+        }));
+        return;
+    }
+
+    // Throwing out of the loop below also stops reading the records
+    const write = async (chunk) => {
+        if (stream.destroyed) throw new Error('The export stream closed before the export finished');
+        if (chunk && !stream.write(chunk)) await drained(stream);
+    };
+    const renderer = TEXT_RENDERERS[format](selected);
+    let index = 0;
+
+    await write(renderer.header);
+    for await (const item of records) {
+        await write(renderer.record(item, index++));
+    }
+    await write(renderer.footer);
+    stream.end();
+}
+
+module.exports = { COLUMNS, REVIEW_COLUMNS, DIFF_COLUMNS, EXPORT_FORMATS, exportData, writeExport, findUnknownColumns };
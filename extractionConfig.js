@@ -0,0 +1,213 @@
+// Selectors the scraper reads Maps pages with. Every field has a chain of selectors tried in
+// order, so a fallback can be added when Google changes its markup. Bump `version` with every
+// change, jobs record the version they ran with.
+//
+// SELECTORS_FILE points at a JSON file with the same shape to override parts of it, e.g.
+//   { "version": "2025.06-local", "fields": { "category": { "selectors": ["button.NewCategory"] } } }
+// Fields are merged one by one, search selectors and block pages replace the defaults they name.
+const fs = require('fs');
+
+const DEFAULT_CONFIG = {
+    version: '2025.2',
+    search: {
+        searchInput: ['#searchboxinput', 'input[name="q"]'],
+        feed: ['div[role="feed"]'],
+        // {baseUrl} is replaced with the Maps base URL the scrape runs against
+        listing: ['a[href*="{baseUrl}/place"]'],
+        showMore: ['button[aria-label="Show more"]'],
+        endOfListText: "You've reached the end of the list",
+        noResultsText: "Google Maps can't find"
+    },
+    // Pages Google shows instead of Maps, matched by URL, element or text. A scrape that lands
+    // on one ends as blocked.
+    blocked: {
+        consent: {
+            urls: ['//consent.google.'],
+            selectors: ['form[action*="consent.google."]'],
+            texts: []
+        },
+        captcha: {
+            urls: ['/sorry/'],
+            selectors: ['form#captcha-form', 'iframe[src*="/recaptcha/"]'],
+            texts: ['unusual traffic from your computer network']
+        }
+    },
+    // `attribute` reads an attribute instead of the text, a selector given as { selector, attribute }
+    // overrides it for that selector. `pattern` keeps the part of the value it matches, its first
+    // group when it has one. A job where fewer than `minFillRate` of the records have a value
+    // raises a selector_degraded warning. Most places have an address and category, far fewer
+    // a website or phone number.
+    fields: {
+        website: {
+            selectors: ['a[data-item-id="authority"]', 'a[aria-label^="Website:"]'],
+            attribute: 'href',
+            minFillRate: 0.05
+        },
+        address: {
+            selectors: ['button[data-item-id="address"] div', 'button[aria-label^="Address:"] div'],
+            minFillRate: 0.5
+        },
+        rating: {
+            selectors: [
+                'div.F7nice span[aria-hidden="true"]',
+                { selector: 'span[role="img"][aria-label$="stars"]', attribute: 'aria-label' }
+            ],
+            pattern: '^\\d+(?:[.,]\\d)?',
+            minFillRate: 0.2
+        },
+        reviews: {
+            selectors: ['div.F7nice span[aria-label*="reviews"]', 'span[role="img"][aria-label$="reviews"]'],
+            attribute: 'aria-label',
+            pattern: '^[\\d,.]+',
+            minFillRate: 0.2
+        },
+        category: {
+            selectors: ['button.DkEaL', 'button[jsaction$=".category"]'],
+            minFillRate: 0.5
+        },
+        plusCode: {
+            selectors: ['button[data-item-id="oloc"] div', 'button[aria-label^="Plus code:"] div'],
+            // The panel shows the code followed by the locality, keep just the code
+            pattern: '[23456789CFGHJMPQRVWX]{4,8}\\+[23456789CFGHJMPQRVWX]{0,3}',
+            minFillRate: 0.05
+        },
+        phone: {
+            selectors: ['button[data-item-id^="phone:tel:"] div', 'button[aria-label^="Phone:"] div'],
+            minFillRate: 0.05
+        }
+    }
+};
+
+// Fill rates are only judged once a job has this many records
+const MIN_SAMPLE_SIZE = parseInt(process.env.SELECTOR_MIN_SAMPLE, 10) || 20;
+
+function mergeConfig(base, overrides) {
+    const fields = { ...base.fields };
+    for (const [name, rule] of Object.entries(overrides.fields || {})) {
+        fields[name] = { ...fields[name], ...rule };
+    }
+    return {
+        version: overrides.version || `${base.version}+custom`,
+        search: { ...base.search, ...overrides.search },
+        blocked: { ...base.blocked, ...overrides.blocked },
+        fields
+    };
+}
+
+function loadConfig() {
+    if (!process.env.SELECTORS_FILE) return DEFAULT_CONFIG;
+    try {
+        return mergeConfig(DEFAULT_CONFIG, JSON.parse(fs.readFileSync(process.env.SELECTORS_FILE, 'utf8')));
+    } catch (error) {
+        console.error(`Could not load ${process.env.SELECTORS_FILE}, using the default selectors:`, error.message);
+        return DEFAULT_CONFIG;
+    }
+}
+
+const activeConfig = loadConfig();
+
+function getExtractionConfig() {
+    return activeConfig;
+}
+
+// Comma separated selector list for waiting on or clicking whichever of the chain exists
+function selectorList(selectors, baseUrl = '') {
+    return [].concat(selectors).map(selector => selector.replace(/\{baseUrl\}/g, baseUrl)).join(', ');
+}
+
+function selectorChain(rule) {
+    return [].concat(rule.selectors).map(entry => (typeof entry === 'string'
+        ? { selector: entry, attribute: rule.attribute || null }
+        : { attribute: rule.attribute || null, ...entry }));
+}
+
+// The value of the first selector in the rule's chain that has one, 'N/A' when none does
+async function extractField(page, rule) {
+    const value = await page.evaluate((chain) => {
+        for (const { selector, attribute } of chain) {
+            let element = null;
+            try {
+                element = document.querySelector(selector);
+            } catch (error) {
+                continue; // An invalid selector from an override file
+            }
+            if (!element) continue;
+            const text = attribute
+                ? (attribute in element ? element[attribute] : element.getAttribute(attribute))
+                : element.textContent;
+            if (text && String(text).trim()) return String(text).trim();
+        }
+        return null;
+    }, selectorChain(rule)).catch(() => null);
+
+    if (!value) return 'N/A';
+    if (!rule.pattern) return value;
+    const match = new RegExp(rule.pattern).exec(value);
+    return match ? (match[1] !== undefined ? match[1] : match[0]) : value;
+}
+
+// Every element selector of the block pages, to wait for them alongside the results feed
+function blockSelectors(config = activeConfig) {
+    return Object.values(config.blocked).flatMap(page => page.selectors || []);
+}
+
+// 'consent' or 'captcha' when the page is one of the block pages instead of Maps, null otherwise
+async function detectBlock(page, config = activeConfig) {
+    const url = page.url();
+    for (const [reason, { urls = [] }] of Object.entries(config.blocked)) {
+        if (urls.some(part => url.includes(part))) return reason;
+    }
+    return page.evaluate((blocked) => {
+        const text = document.body ? document.body.innerText.toLowerCase() : '';
+        for (const [reason, { selectors = [], texts = [] }] of Object.entries(blocked)) {
+            const hasElement = selectors.some((selector) => {
+                try {
+                    return !!document.querySelector(selector);
+                } catch (error) {
+                    return false;
+                }
+            });
+            if (hasElement || texts.some(part => text.includes(part.toLowerCase()))) return reason;
+        }
+        return null;
+    }, config.blocked).catch(() => null);
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '' && value !== 'N/A';
+}
+
+// Count which extracted fields a record has a value for, `stats` is kept on the job
+function recordFieldFill(stats, record, config = activeConfig) {
+    stats.records = (stats.records || 0) + 1;
+    stats.filled = stats.filled || {};
+    for (const field of Object.keys(config.fields)) {
+        if (hasValue(record[field])) stats.filled[field] = (stats.filled[field] || 0) + 1;
+    }
+    return stats;
+}
+
+// Fields whose fill rate is below their minimum, once there are enough records to tell
+function findDegradedFields(stats, config = activeConfig) {
+    if (!stats.records || stats.records < MIN_SAMPLE_SIZE) return [];
+    return Object.entries(config.fields)
+        .map(([field, rule]) => ({
+            field,
+            fillRate: Math.round(((stats.filled[field] || 0) / stats.records) * 1000) / 1000,
+            minFillRate: rule.minFillRate || 0,
+            selectors: selectorChain(rule).map(({ selector }) => selector)
+        }))
+        .filter(({ fillRate, minFillRate }) => fillRate < minFillRate);
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    getExtractionConfig,
+    mergeConfig,
+    selectorList,
+    extractField,
+    blockSelectors,
+    detectBlock,
+    recordFieldFill,
+    findDegradedFields
+};
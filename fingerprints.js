@@ -0,0 +1,41 @@
+// Browser identities for new contexts, so requests don't all carry the same user agent and window
+// size. Only desktop Chrome and Edge, which match the Chromium the pool runs.
+const CHROME_VERSIONS = [130, 131, 132, 133, 134];
+const PLATFORMS = [
+    'Windows NT 10.0; Win64; x64',
+    'Windows NT 10.0; Win64; x64',
+    'Macintosh; Intel Mac OS X 10_15_7',
+    'X11; Linux x86_64'
+];
+// At least 1920px wide, grid.js sizes tiles for the map area of a 1920px window
+const VIEWPORTS = [
+    { width: 1920, height: 1080 },
+    { width: 1920, height: 1080 },
+    { width: 1920, height: 1200 },
+    { width: 2048, height: 1152 },
+    { width: 2560, height: 1440 }
+];
+
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+function randomUserAgent() {
+    const version = pick(CHROME_VERSIONS);
+    const platform = pick(PLATFORMS);
+    const chrome = `Mozilla/5.0 (${platform}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version}.0.0.0 Safari/537.36`;
+    // Edge only on Windows
+    return platform.startsWith('Windows') && Math.random() < 0.2 ? `${chrome} Edg/${version}.0.0.0` : chrome;
+}
+
+// Context options with a random user agent and viewport. The locale stays English, the scraper
+// recognises the end of the feed and block pages by their English text.
+function randomFingerprint() {
+    return {
+        userAgent: randomUserAgent(),
+        viewport: { ...pick(VIEWPORTS) },
+        locale: 'en-US'
+    };
+}
+
+module.exports = { randomFingerprint, randomUserAgent };
@@ -0,0 +1,126 @@
+// Splits an area into map tiles so each tile's search stays under the Maps feed cap
+const { MAPS_BASE_URL } = require('./place');
+
+const KM_PER_DEGREE_LAT = 111.32;
+const DEFAULT_TILE_SIZE_KM = 2;
+const DEFAULT_MAX_DEPTH = 2;
+// Each level of splitting can quadruple a tile's searches
+const MAX_GRID_DEPTH = 4;
+const MAX_GRID_TILES = 400;
+// Tiles plus the quarter tiles they are split into, per job
+const MAX_GRID_SEARCHES = 2000;
+// A feed ends at roughly 120 listings, tiles that get close are split into four
+const GRID_RESULT_CAP = 100;
+// Width in pixels of the map area next to the results panel in the 1920px viewport
+const MAP_WIDTH_PX = 1200;
+
+function kmPerDegreeLng(lat) {
+    return KM_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180);
+}
+
+function boundsFromCenter(lat, lng, radiusKm) {
+    const dLat = radiusKm / KM_PER_DEGREE_LAT;
+    const dLng = radiusKm / kmPerDegreeLng(lat);
+    return { north: lat + dLat, south: lat - dLat, east: lng + dLng, west: lng - dLng };
+}
+
+function isValidBounds(bounds) {
+    if (!bounds) return false;
+    const { north, south, east, west } = bounds;
+    return [north, south, east, west].every(Number.isFinite)
+        && north > south && east > west
+        && north <= 90 && south >= -90 && east <= 180 && west >= -180;
+}
+
+// Lowest zoom at which the tile's width still fills the visible map
+function zoomForBounds(bounds) {
+    const lat = (bounds.north + bounds.south) / 2;
+    const widthMeters = (bounds.east - bounds.west) * kmPerDegreeLng(lat) * 1000;
+    const zoom = Math.floor(Math.log2((156543.03 * Math.cos((lat * Math.PI) / 180) * MAP_WIDTH_PX) / widthMeters));
+    return Math.min(Math.max(zoom, 3), 21);
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function searchUrlFor(query, tile) {
+    return `${MAPS_BASE_URL}/search/${encodeURIComponent(query)}/@${tile.lat},${tile.lng},${tile.zoom}z`;
+}
+
+function createTileSearch(query, bounds, depth) {
+    const tile = {
+        bounds,
+        lat: round((bounds.north + bounds.south) / 2),
+        lng: round((bounds.east + bounds.west) / 2),
+        zoom: zoomForBounds(bounds),
+        depth
+    };
+    return {
+        query,
+        location: '',
+        tile,
+        searchUrl: searchUrlFor(query, tile),
+        status: 'queued',
+        results: 0,
+        listingsFound: 0,
+        endReason: null,
+        error: null
+    };
+}
+
+function splitBounds(bounds, rows, cols) {
+    const tiles = [];
+    const latStep = (bounds.north - bounds.south) / rows;
+    const lngStep = (bounds.east - bounds.west) / cols;
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            tiles.push({
+                north: round(bounds.north - row * latStep),
+                south: round(bounds.north - (row + 1) * latStep),
+                west: round(bounds.west + col * lngStep),
+                east: round(bounds.west + (col + 1) * lngStep)
+            });
+        }
+    }
+    return tiles;
+}
+
+function gridSize(bounds, tileSizeKm) {
+    const lat = (bounds.north + bounds.south) / 2;
+    return {
+        rows: Math.max(Math.ceil(((bounds.north - bounds.south) * KM_PER_DEGREE_LAT) / tileSizeKm), 1),
+        cols: Math.max(Math.ceil(((bounds.east - bounds.west) * kmPerDegreeLng(lat)) / tileSizeKm), 1)
+    };
+}
+
+// How many tiles buildGridSearches would make, without making them
+function countGridTiles(bounds, tileSizeKm = DEFAULT_TILE_SIZE_KM) {
+    const { rows, cols } = gridSize(bounds, tileSizeKm);
+    return rows * cols;
+}
+
+// Sub-searches covering the area with tiles of roughly tileSizeKm on each side
+function buildGridSearches(query, bounds, tileSizeKm = DEFAULT_TILE_SIZE_KM) {
+    const { rows, cols } = gridSize(bounds, tileSizeKm);
+    return splitBounds(bounds, rows, cols).map(tileBounds => createTileSearch(query, tileBounds, 0));
+}
+
+// Four quarter tiles for a tile whose feed hit the cap, none once maxDepth is reached
+function subdivideTile(search, maxDepth = DEFAULT_MAX_DEPTH) {
+    if (search.listingsFound < GRID_RESULT_CAP || search.tile.depth >= maxDepth) return [];
+    return splitBounds(search.tile.bounds, 2, 2)
+        .map(bounds => createTileSearch(search.query, bounds, search.tile.depth + 1));
+}
+
+module.exports = {
+    MAX_GRID_TILES,
+    MAX_GRID_SEARCHES,
+    DEFAULT_MAX_DEPTH,
+    MAX_GRID_DEPTH,
+    boundsFromCenter,
+    isValidBounds,
+    countGridTiles,
+    buildGridSearches,
+    subdivideTile
+};
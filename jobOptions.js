@@ -0,0 +1,163 @@
+const { parseReference } = require('./place');
+const { parseFieldGroups, findUnknownFieldGroups } = require('./placeDetails');
+const { parseReviewOptions } = require('./reviews');
+const { normalizeRegion } = require('./phone');
+const { PROXY_ROTATIONS, hasProxyPool } = require('./proxies');
+const { parseProcessors } = require('./pipeline');
+const { MAX_BATCH_SEARCHES, toList, parseLocationsFile, expandSearches } = require('./batch');
+const {
+    MAX_GRID_TILES,
+    DEFAULT_MAX_DEPTH,
+    MAX_GRID_DEPTH,
+    boundsFromCenter,
+    isValidBounds,
+    countGridTiles,
+    buildGridSearches
+} = require('./grid');
+
+// Options every kind of job accepts, returns an error message when one of them is invalid
+function parseJobOptions(body) {
+    const { total, extractEmail, skipKnown, reference, fields, reviews, region, proxyPool, proxyRotation, processors } = body;
+
+    // Anything else would leave the scraper waiting on a batch of NaN listings
+    const limit = total === undefined || total === null ? undefined : (/^\d+$/.test(String(total)) ? Number(total) : NaN);
+    if (limit !== undefined && !(limit > 0)) {
+        return { error: 'total must be a positive whole number' };
+    }
+    // A string "false" from a form would otherwise switch them on
+    for (const [name, value] of Object.entries({ extractEmail, skipKnown })) {
+        if (value !== undefined && value !== null && typeof value !== 'boolean') {
+            return { error: `${name} must be true or false` };
+        }
+    }
+    const referencePoint = parseReference(reference);
+    if (referencePoint === undefined) {
+        return { error: 'reference must be { lat, lng }' };
+    }
+    const unknownGroups = findUnknownFieldGroups(fields);
+    if (unknownGroups.length > 0) {
+        return { error: `Unknown field groups: ${unknownGroups.join(', ')}` };
+    }
+    const reviewOptions = parseReviewOptions(reviews);
+    if (reviewOptions.error) {
+        return { error: reviewOptions.error };
+    }
+    // Country phone numbers are parsed for, e.g. "US", instead of guessing it from the location
+    if (region && !normalizeRegion(region)) {
+        return { error: 'region must be a two-letter country code, e.g. IN or US' };
+    }
+    // Pools are configured on the server, see proxies.js
+    if (proxyPool && !hasProxyPool(proxyPool)) {
+        return { error: `Unknown proxy pool: ${proxyPool}` };
+    }
+    if (proxyRotation && !PROXY_ROTATIONS.includes(proxyRotation)) {
+        return { error: `proxyRotation must be one of ${PROXY_ROTATIONS.join(', ')}` };
+    }
+    // Lead processors of this job instead of the server's chain, see pipeline.js
+    const chain = processors === undefined ? {} : parseProcessors(processors);
+    if (chain.error) {
+        return { error: chain.error };
+    }
+
+    return {
+        options: {
+            total: limit,
+            extractEmail: extractEmail === true,
+            skipKnown: skipKnown === true,
+            reference: referencePoint,
+            fields: parseFieldGroups(fields),
+            reviews: reviewOptions.options,
+            region: normalizeRegion(region),
+            proxyPool: proxyPool || undefined,
+            proxyRotation: proxyRotation || undefined,
+            processors: chain.processors
+        }
+    };
+}
+
+// The parsers below turn a request body into the params of a job, or an error message
+
+function parseSearchJob(body) {
+    const { query, location, isPincode } = body;
+    if (!query) {
+        return { error: 'query is required' };
+    }
+    const { options, error } = parseJobOptions(body);
+    if (error) {
+        return { error };
+    }
+    return { params: { query, location, isPincode, ...options } };
+}
+
+// Every query is searched in every location. Locations can also come from an uploaded
+// CSV/XLSX sent as locationsFile: { name, content } with base64 content.
+function parseBatchJob(body) {
+    const { queries, locations, locationsFile, isPincode } = body;
+    const queryList = toList(queries);
+    let locationList = toList(locations);
+
+    if (locationsFile) {
+        try {
+            locationList = toList([...locationList, ...parseLocationsFile(locationsFile)]);
+        } catch (error) {
+            return { error: 'Could not read locationsFile', details: error.message };
+        }
+    }
+    if (queryList.length === 0) {
+        return { error: 'queries is required' };
+    }
+    const { options, error } = parseJobOptions(body);
+    if (error) {
+        return { error };
+    }
+
+    const searches = expandSearches(queryList, locationList, isPincode);
+    if (searches.length > MAX_BATCH_SEARCHES) {
+        return { error: `A batch can have at most ${MAX_BATCH_SEARCHES} searches` };
+    }
+    return { params: { queries: queryList, locations: locationList, ...options, searches } };
+}
+
+// The area is either bounds: { north, south, east, west } or center: { lat, lng } with radiusKm
+function parseGridJob(body) {
+    const { query, bounds, center, radiusKm, tileSizeKm, maxDepth = DEFAULT_MAX_DEPTH } = body;
+    if (!query) {
+        return { error: 'query is required' };
+    }
+
+    const area = center
+        ? boundsFromCenter(Number(center.lat), Number(center.lng), Number(radiusKm))
+        : bounds && {
+            north: Number(bounds.north),
+            south: Number(bounds.south),
+            east: Number(bounds.east),
+            west: Number(bounds.west)
+        };
+    if (!isValidBounds(area)) {
+        return { error: 'bounds or center with radiusKm is required' };
+    }
+    if (tileSizeKm !== undefined && !(Number(tileSizeKm) > 0)) {
+        return { error: 'tileSizeKm must be a positive number' };
+    }
+    const depth = /^\d+$/.test(String(maxDepth)) ? Number(maxDepth) : NaN;
+    if (!(depth <= MAX_GRID_DEPTH)) {
+        return { error: `maxDepth must be a whole number from 0 to ${MAX_GRID_DEPTH}` };
+    }
+    const { options, error } = parseJobOptions(body);
+    if (error) {
+        return { error };
+    }
+
+    // Counted before any tile is built, a tiny tileSizeKm over a city would need billions of them
+    const tileCount = countGridTiles(area, tileSizeKm && Number(tileSizeKm));
+    if (tileCount > MAX_GRID_TILES) {
+        return { error: `The area needs ${tileCount} tiles, at most ${MAX_GRID_TILES} are allowed` };
+    }
+    const searches = buildGridSearches(query, area, tileSizeKm && Number(tileSizeKm));
+    return { params: { query, bounds: area, tileSizeKm, maxDepth: depth, ...options, searches } };
+}
+
+// Job type -> parser, for callers that accept any kind of job
+const JOB_PARSERS = { search: parseSearchJob, batch: parseBatchJob, grid: parseGridJob };
+
+module.exports = { JOB_PARSERS, parseJobOptions, parseSearchJob, parseBatchJob, parseGridJob };
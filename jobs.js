@@ -0,0 +1,467 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const { scrapeGoogleMaps } = require('./scraper');
+const { dataPath, writeJson, listJson } = require('./store');
+const { appendCheckpoint, loadCheckpoint } = require('./checkpoint');
+const { appendResult } = require('./results');
+const { upsertBusiness, isKnownPlace } = require('./businesses');
+const { MAX_GRID_SEARCHES, subdivideTile } = require('./grid');
+const { distanceKm } = require('./place');
+const { appendReviews } = require('./reviews');
+const { regionFromText } = require('./phone');
+const { normalizePostalCode } = require('./address');
+const { recordEvent, readEvents } = require('./eventLog');
+const { getExtractionConfig, recordFieldFill, findDegradedFields } = require('./extractionConfig');
+const { releaseJobProxy } = require('./proxies');
+const { getQuotas, remainingQuota, recordUsage } = require('./usage');
+const { runPipeline } = require('./pipeline');
+
+// How many scrapes may run at the same time, the rest wait in the queue
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOBS_DIR = dataPath('jobs');
+
+const jobs = new Map();
+const queue = [];
+const controllers = new Map(); // jobId -> AbortController of running jobs
+const ACTIVE_STATUSES = ['queued', 'running'];
+// Abort reason of a job stopped because its owner used up the day's results
+const QUOTA_EXCEEDED = 'quota_exceeded';
+
+// Emits every job event, with its sequence number, on a channel named after the job ID.
+// The 'all' channel gets the events of every job as (job, event).
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function saveJob(job) {
+    writeJson(path.join(JOBS_DIR, `${job.id}.json`), job);
+}
+
+function updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    saveJob(job);
+    return job;
+}
+
+// Events carry the run they belong to, which goes up each time the job is resumed
+function emitJobEvent(job, event) {
+    const entry = recordEvent(job.id, { ...event, run: job.resumeCount || 0 });
+    jobEvents.emit(job.id, entry);
+    jobEvents.emit('all', job, entry);
+}
+
+function emitProgress(job) {
+    emitJobEvent(job, {
+        type: 'progress',
+        progress: job.progress,
+        counts: job.counts,
+        estimatedTotal: job.params.total || job.estimatedTotal || null
+    });
+}
+
+function emitLog(job, message) {
+    emitJobEvent(job, { type: 'log', message });
+}
+
+// Warn once per field when too few of the job's records have it, usually because Maps changed
+// its markup and the field's selectors in extractionConfig.js no longer match
+function checkFieldFill(job, record) {
+    job.fieldStats = recordFieldFill(job.fieldStats || {}, record);
+    const warned = (job.warnings || []).map(warning => warning.field);
+    for (const degraded of findDegradedFields(job.fieldStats)) {
+        if (warned.includes(degraded.field)) continue;
+        const warning = {
+            type: 'selector_degraded',
+            ...degraded,
+            records: job.fieldStats.records,
+            selectorVersion: job.selectorVersion,
+            detectedAt: new Date().toISOString()
+        };
+        job.warnings = [...(job.warnings || []), warning];
+        emitJobEvent(job, warning);
+        emitLog(job, `Warning: only ${Math.round(degraded.fillRate * 100)}% of records have a ${degraded.field}, its selectors may be out of date`);
+    }
+}
+
+// Load persisted jobs so their history survives a restart
+function initJobs() {
+    const stored = listJson(JOBS_DIR)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of stored) {
+        jobs.set(job.id, job);
+        if (job.status === 'running') {
+            updateJob(job, {
+                status: 'interrupted',
+                error: 'Server restarted while the job was running',
+                finishedAt: new Date().toISOString()
+            });
+        } else if (job.status === 'queued') {
+            queue.push(job.id);
+        }
+    }
+
+    processQueue();
+}
+
+// `type` is 'search' for one query/location pair, or 'batch' or 'grid' for the
+// params.searches built by batch.js and grid.js. `owner` is { userId, team } of the user the
+// job belongs to, jobs started from the CLI have none.
+function createJob(params, type = 'search', owner = {}) {
+    const now = new Date().toISOString();
+    const { searches, ...jobParams } = params;
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        userId: owner.userId || null,
+        team: owner.team || null,
+        params: jobParams,
+        counts: { results: 0, filtered: 0, new: 0, known: 0, skippedKnown: 0, reviews: 0 },
+        progress: 0,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null
+    };
+    if (searches) {
+        job.subSearches = searches;
+    }
+
+    jobs.set(job.id, job);
+    saveJob(job);
+    recordUsage(job.userId, 'jobs');
+    queue.push(job.id);
+    processQueue();
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+// `team` limits the list to one team's jobs
+function listJobs({ status, team } = {}) {
+    return Array.from(jobs.values())
+        .filter(job => !status || job.status === status)
+        .filter(job => !team || job.team === team)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Why the user may not start or resume a job right now, null when they may
+function checkJobQuota(userId) {
+    if (!userId) return null;
+    const { concurrentJobs, resultsPerDay } = getQuotas(userId);
+    const active = Array.from(jobs.values())
+        .filter(job => job.userId === userId && ACTIVE_STATUSES.includes(job.status)).length;
+    if (concurrentJobs && active >= concurrentJobs) {
+        return `Quota exceeded: at most ${concurrentJobs} jobs can be queued or running at once`;
+    }
+    if (remainingQuota(userId, 'resultsPerDay') === 0) {
+        return `Quota exceeded: all ${resultsPerDay} results for today have been scraped`;
+    }
+    return null;
+}
+
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+        queue.splice(queue.indexOf(id), 1);
+        updateJob(job, { status: 'cancelled', endReason: 'stopped', finishedAt: new Date().toISOString() });
+        emitJobEvent(job, {
+            type: 'complete',
+            status: job.status,
+            endReason: job.endReason,
+            totalResults: job.counts.results
+        });
+    } else if (controllers.has(id)) {
+        // The runner marks the job cancelled once the scraper has wound down
+        controllers.get(id).abort();
+    }
+    return job;
+}
+
+// Jobs in these states stopped early and can pick up where they left off
+// A blocked job waits to be resumed once Google lets the scraper through again, one that ran
+// out of quota until the next day
+const RESUMABLE_STATUSES = ['interrupted', 'cancelled', 'failed', 'blocked', 'quota_exceeded'];
+
+function isResumable(job) {
+    return RESUMABLE_STATUSES.includes(job.status);
+}
+
+function resumeJob(id) {
+    const job = jobs.get(id);
+    if (!job || !isResumable(job)) return job || null;
+
+    updateJob(job, {
+        status: 'queued',
+        error: null,
+        finishedAt: null,
+        resumeCount: (job.resumeCount || 0) + 1
+    });
+    queue.push(job.id);
+    processQueue();
+    return job;
+}
+
+function processQueue() {
+    while (controllers.size < JOB_CONCURRENCY && queue.length > 0) {
+        const job = jobs.get(queue.shift());
+        if (job && job.status === 'queued') {
+            runJob(job);
+        }
+    }
+}
+
+// Job status for scraper end reasons other than limit_reached and end_of_results
+const END_REASON_STATUSES = { stopped: 'cancelled', error: 'failed', blocked: 'blocked', quota_exceeded: 'quota_exceeded' };
+
+// Share of the requested total, or of the listings seen in the feed when no total was given.
+// Batch and grid jobs count finished searches plus the share of the one running.
+function calculateProgress(job) {
+    const { total } = job.params;
+    if (job.subSearches) {
+        const searches = job.subSearches;
+        const finished = searches.filter(search => search.status === 'completed').length;
+        const running = searches.find(search => search.status === 'running');
+        const share = running && total ? Math.min(running.results / total, 1) : 0;
+        return Math.min(((finished + share) / searches.length) * 100, 100);
+    }
+    if (total) {
+        return Math.min((job.counts.results / total) * 100, 100);
+    }
+    if (!job.estimatedTotal) return 0;
+    return Math.min(((job.counts.results + job.counts.filtered) / job.estimatedTotal) * 100, 100);
+}
+
+async function runJob(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    updateJob(job, {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        selectorVersion: getExtractionConfig().version
+    });
+    emitLog(job, job.resumeCount
+        ? `Job resumed with ${job.counts.results} results already scraped`
+        : 'Job started');
+
+    // Queued before the owner ran out of results for the day
+    if (remainingQuota(job.userId, 'resultsPerDay') === 0) controller.abort(QUOTA_EXCEEDED);
+
+    try {
+        const outcome = job.subSearches
+            ? await runSubSearches(job, controller.signal)
+            : await runSearch(job, job.params, controller.signal);
+        const { endReason, error, blockedBy } = outcome.endReason === 'stopped' && controller.signal.reason === QUOTA_EXCEEDED
+            ? { endReason: QUOTA_EXCEEDED, error: `Daily quota of ${getQuotas(job.userId).resultsPerDay} results reached` }
+            : outcome;
+        const status = END_REASON_STATUSES[endReason] || 'completed';
+        updateJob(job, {
+            status,
+            endReason,
+            error: error || null,
+            // consent, captcha or proxies when Google blocked the job
+            blockedBy: blockedBy || null,
+            progress: status === 'completed' ? 100 : job.progress,
+            finishedAt: new Date().toISOString()
+        });
+        emitJobEvent(job, {
+            type: 'complete',
+            status,
+            endReason,
+            totalResults: job.counts.results,
+            error: job.error
+        });
+    } catch (error) {
+        console.error(`Job ${job.id} failed:`, error);
+        updateJob(job, {
+            status: 'failed',
+            endReason: 'error',
+            error: error.message,
+            finishedAt: new Date().toISOString()
+        });
+        emitJobEvent(job, { type: 'error', error: error.message });
+    } finally {
+        controllers.delete(job.id);
+        releaseJobProxy(job.id);
+        processQueue();
+    }
+}
+
+// One scrapeGoogleMaps run. `search` is the job's params, or one of a batch or grid job's
+// sub-searches which then also keeps its own counts.
+async function runSearch(job, search, signal, searchIndex) {
+    const { extractEmail, skipKnown, reference, fields, reviews, region, proxyPool, proxyRotation, processors } = job.params;
+    const { query, location = '', isPincode, total = job.params.total } = search;
+    const searchQuery = `${query} ${location}`.trim();
+    const checkpoint = loadCheckpoint(job.id, searchIndex);
+    const pincode = location.trim();
+    const alreadyScraped = searchIndex === undefined ? job.counts.results : search.results;
+    let lookupsExhausted = false;
+
+    return scrapeGoogleMaps(
+        searchQuery,
+        // A resumed job only needs what is still missing
+        total ? Math.max(total - alreadyScraped, 0) : Infinity,
+        (data) => {
+            const { business, isNew } = upsertBusiness(data, job.id);
+            data.businessId = business.id;
+            data.isNew = isNew;
+            job.counts[isNew ? 'new' : 'known']++;
+
+            if (data.reviewList) {
+                const placeReviews = data.reviewList.map(review => ({
+                    ...review,
+                    businessId: business.id,
+                    placeId: data.placeId,
+                    businessName: data.name
+                }));
+                delete data.reviewList;
+                data.reviewsCollected = placeReviews.length;
+                appendReviews(job.id, placeReviews);
+                job.counts.reviews = (job.counts.reviews || 0) + placeReviews.length;
+            }
+
+            appendResult(job.id, data);
+            checkFieldFill(job, data);
+            job.counts.results++;
+            if (searchIndex !== undefined) search.results++;
+            recordUsage(job.userId, 'results');
+            if (!signal.aborted && remainingQuota(job.userId, 'resultsPerDay') === 0) {
+                emitLog(job, 'Daily results quota reached, stopping the job');
+                controllers.get(job.id).abort(QUOTA_EXCEEDED);
+            }
+            updateJob(job, { progress: calculateProgress(job) });
+            emitJobEvent(job, { type: 'update', data, progress: job.progress });
+            emitProgress(job);
+        },
+        signal,
+        extractEmail,
+        {
+            processedUrls: checkpoint.urls,
+            filter: isPincode
+                ? (data) => data.pincode === normalizePostalCode(pincode, data.country)
+                : null,
+            // Known places are skipped before their details page is even opened
+            shouldSkip: skipKnown
+                ? (placeUrl) => {
+                    if (!isKnownPlace(placeUrl)) return false;
+                    job.counts.skippedKnown++;
+                    return true;
+                }
+                : null,
+            onFiltered: (data) => {
+                appendCheckpoint(job.id, { url: data.placeUrl, search: searchIndex });
+                job.counts.filtered++;
+                updateJob(job, { progress: calculateProgress(job) });
+                emitProgress(job);
+            },
+            searchUrl: search.searchUrl,
+            // Pincode searches are Indian, other locations may end with a country name
+            region: region || (isPincode ? 'IN' : regionFromText(location)),
+            fieldGroups: fields,
+            reviews,
+            onListingsFound: (found) => {
+                if (searchIndex !== undefined) search.listingsFound = found;
+                if (job.type === 'search' && !total && found !== job.estimatedTotal) {
+                    updateJob(job, { estimatedTotal: found });
+                    emitProgress(job);
+                }
+            },
+            proxy: { pool: proxyPool, rotation: proxyRotation, jobId: job.id },
+            // The search and distance are set first so scoring rules can use them
+            postProcess: (data) => {
+                data.searchQuery = query;
+                data.searchLocation = location;
+                if (reference && data.latitude !== null && data.latitude !== undefined) {
+                    const distance = distanceKm(reference, { lat: data.latitude, lng: data.longitude });
+                    data.distanceKm = Math.round(distance * 100) / 100;
+                }
+                // The job's own chain of lead processors, or the server's
+                return runPipeline(data, processors);
+            },
+            // Records are still saved once the owner is out of email lookups for the day, without emails
+            reserveContactLookup: () => {
+                if (remainingQuota(job.userId, 'emailLookupsPerDay') === 0) {
+                    if (!lookupsExhausted) emitLog(job, 'Daily email lookup quota reached, skipping email lookups');
+                    lookupsExhausted = true;
+                    return false;
+                }
+                recordUsage(job.userId, 'emailLookups');
+                return true;
+            },
+            onLog: (message) => emitLog(job, message)
+        }
+    );
+}
+
+function describeSearch(search) {
+    if (search.tile) {
+        return `tile at ${search.tile.lat},${search.tile.lng} (zoom ${search.tile.zoom})`;
+    }
+    return `"${`${search.query} ${search.location}`.trim()}"`;
+}
+
+// Run a batch or grid job's sub-searches one after another, a resumed job skips the ones
+// already completed. Grid tiles that hit the feed cap add their quarters to the end of the list.
+async function runSubSearches(job, signal) {
+    const searches = job.subSearches;
+
+    for (let index = 0; index < searches.length; index++) {
+        const search = searches[index];
+        if (search.status === 'completed') continue;
+        if (signal.aborted) return { endReason: 'stopped' };
+
+        search.status = 'running';
+        updateJob(job, {});
+        emitLog(job, `Searching ${describeSearch(search)} (${index + 1} of ${searches.length})`);
+
+        const { endReason, error, blockedBy } = await runSearch(job, search, signal, index);
+        Object.assign(search, {
+            status: END_REASON_STATUSES[endReason] || 'completed',
+            endReason,
+            error: error || null
+        });
+
+        if (job.type === 'grid' && search.status === 'completed') {
+            const quarters = subdivideTile(search, job.params.maxDepth);
+            if (quarters.length > 0 && searches.length + quarters.length > MAX_GRID_SEARCHES) {
+                emitLog(job, `Tile found ${search.listingsFound} listings, but the job already has ${searches.length} searches and is not split further`);
+            } else if (quarters.length > 0) {
+                searches.push(...quarters);
+                emitLog(job, `Tile found ${search.listingsFound} listings, splitting it into ${quarters.length}`);
+            }
+        }
+        updateJob(job, { progress: calculateProgress(job) });
+        emitProgress(job);
+
+        if (endReason === 'stopped') return { endReason };
+        // The following searches would be blocked too, resuming the job later picks up from here
+        if (endReason === 'blocked') return { endReason, error, blockedBy };
+        // A failed search doesn't stop the job, resuming it retries the search later
+    }
+
+    const failed = searches.filter(search => search.status === 'failed').length;
+    if (failed > 0) {
+        return { endReason: 'error', error: `${failed} of ${searches.length} searches failed` };
+    }
+    return { endReason: 'end_of_results' };
+}
+
+module.exports = {
+    initJobs,
+    createJob,
+    getJob,
+    listJobs,
+    checkJobQuota,
+    cancelJob,
+    resumeJob,
+    isResumable,
+    getJobEvents: readEvents,
+    jobEvents
+};
@@ -0,0 +1,73 @@
+// Phone numbers as listed on Maps, normalised to E.164 for the country the listing is in
+const { parsePhoneNumberFromString, isSupportedCountry, getCountries } = require('libphonenumber-js/max');
+
+// Used when neither the request, the search location nor the address name a country
+const DEFAULT_REGION = (process.env.DEFAULT_PHONE_REGION || 'IN').toUpperCase();
+
+const PHONE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    FIXED_LINE_OR_MOBILE: 'mobile_or_landline',
+    TOLL_FREE: 'toll_free',
+    PREMIUM_RATE: 'premium_rate',
+    SHARED_COST: 'shared_cost',
+    VOIP: 'voip',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan'
+};
+// Numbers WhatsApp can be registered on
+const WHATSAPP_TYPES = new Set(['mobile', 'mobile_or_landline']);
+
+// Country names as they end addresses and locations ("Dubai - United Arab Emirates"), plus common short forms
+const COUNTRY_NAMES = new Map([
+    ['usa', 'US'], ['us', 'US'], ['united states of america', 'US'],
+    ['uk', 'GB'], ['england', 'GB'], ['scotland', 'GB'], ['wales', 'GB'], ['great britain', 'GB'],
+    ['uae', 'AE']
+]);
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+for (const code of getCountries()) {
+    const name = regionNames.of(code);
+    if (name && name !== code) COUNTRY_NAMES.set(name.toLowerCase(), code);
+}
+
+function normalizeRegion(region) {
+    if (!region) return null;
+    const code = String(region).trim().toUpperCase();
+    return isSupportedCountry(code) ? code : null;
+}
+
+// Country code for a free-text location or address, from its last part, e.g. "Austin, Texas, USA"
+function regionFromText(text) {
+    if (!text || text === 'N/A') return null;
+    const parts = String(text).split(/,|\s[-–]\s/).map(part => part.trim().toLowerCase()).filter(Boolean);
+    const last = parts[parts.length - 1];
+    if (!last) return null;
+    return COUNTRY_NAMES.get(last) || COUNTRY_NAMES.get(last.replace(/[\d\s]+$/, '').trim()) || null;
+}
+
+// Phone fields of a record. `phone` stays the national number without its trunk prefix and
+// `countryCode` the calling code, as exports have always combined them.
+function normalizePhone(raw, region) {
+    const display = raw ? String(raw).trim() : '';
+    if (!display || display === 'N/A') {
+        return { phone: 'N/A', countryCode: 'N/A', phoneRaw: 'N/A', phoneE164: 'N/A', phoneType: 'N/A', whatsappUrl: 'N/A' };
+    }
+
+    const parsed = parsePhoneNumberFromString(display, normalizeRegion(region) || DEFAULT_REGION);
+    if (!parsed) {
+        return { phone: display, countryCode: 'N/A', phoneRaw: display, phoneE164: 'N/A', phoneType: 'N/A', whatsappUrl: 'N/A' };
+    }
+
+    const phoneType = parsed.isValid() ? PHONE_TYPES[parsed.getType()] || 'unknown' : 'invalid';
+    return {
+        phone: parsed.nationalNumber,
+        countryCode: `+${parsed.countryCallingCode}`,
+        phoneRaw: display,
+        phoneE164: parsed.number,
+        phoneType,
+        whatsappUrl: WHATSAPP_TYPES.has(phoneType) ? `https://wa.me/${parsed.number.slice(1)}` : 'N/A'
+    };
+}
+
+module.exports = { DEFAULT_REGION, normalizeRegion, regionFromText, normalizePhone };
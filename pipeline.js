@@ -0,0 +1,140 @@
+// Post-processing of every scraped record before it is stored: a chain of processors that add a
+// lead `score` and `tags`, plus fields of their own such as websiteTech. PIPELINE_FILE points at
+// a JSON file with the chain and each processor's settings, e.g.
+//   { "processors": ["websiteTech", { "name": "keywordTags", "keywords": { "dental": ["dentist"] } }, "scoring"] }
+// and a job can bring its own chain as `processors`.
+//
+// Custom processors are .js files in PLUGINS_DIR (default ./plugins) that export one processor or
+// a list of them:
+//   module.exports = {
+//       name: 'franchise',
+//       defaults: { names: ['subway', 'starbucks'] },
+//       process: (record, settings) => settings.names.some(name => record.name.toLowerCase().includes(name))
+//           ? { score: -10, tags: ['franchise'] }
+//           : {}
+//   };
+// process may be async and resolves with `score` points to add, `tags` to add and any other
+// fields to set on the record. An optional validate(settings) returns an error message. A plugin
+// named like a built-in processor replaces it, e.g. domainAge.
+//
+// websiteTech requests every business website straight from the server, outside the proxy pool and
+// the Maps rate limit, so it only runs in a chain that names it.
+const fs = require('fs');
+const path = require('path');
+const { BUILT_IN_PROCESSORS } = require('./processors');
+
+const PLUGINS_DIR = process.env.PLUGINS_DIR || path.join(__dirname, 'plugins');
+
+function isProcessor(value) {
+    return !!value && typeof value.name === 'string' && typeof value.process === 'function';
+}
+
+function loadPlugins(dir) {
+    const plugins = [];
+    if (!fs.existsSync(dir)) return plugins;
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort()) {
+        try {
+            const exported = [].concat(require(path.resolve(dir, file)));
+            if (!exported.every(isProcessor)) {
+                throw new Error('expected a processor with a name and a process function, or a list of them');
+            }
+            plugins.push(...exported);
+            console.log(`Loaded lead processors from ${file}: ${exported.map(processor => processor.name).join(', ')}`);
+        } catch (error) {
+            console.error(`Could not load the lead processor plugin ${file}:`, error.message);
+        }
+    }
+    return plugins;
+}
+
+const plugins = loadPlugins(PLUGINS_DIR);
+const processors = new Map([...BUILT_IN_PROCESSORS, ...plugins].map(processor => [processor.name, processor]));
+
+// Enrichment first so keyword tags and scoring rules can use its fields, plugins that don't
+// replace a built-in processor run just before scoring
+const builtInNames = BUILT_IN_PROCESSORS.map(processor => processor.name);
+const OPT_IN_PROCESSORS = ['websiteTech'];
+const DEFAULT_CHAIN = [
+    ...builtInNames.filter(name => name !== 'scoring' && !OPT_IN_PROCESSORS.includes(name)),
+    ...new Set(plugins.map(processor => processor.name).filter(name => !builtInNames.includes(name))),
+    'scoring'
+];
+
+// { processors } as [{ name, settings }] with each processor's defaults filled in, or { error }.
+// Entries are a processor name or { name, ...settings }, an empty list turns post-processing off.
+function parseProcessors(list) {
+    if (!Array.isArray(list)) {
+        return { error: 'processors must be a list of processor names or { name, ...settings }' };
+    }
+    const parsed = [];
+    for (const entry of list) {
+        const { name, ...settings } = typeof entry === 'string' ? { name: entry } : (entry || {});
+        const processor = processors.get(name);
+        if (!processor) {
+            return { error: `Unknown processor: ${name}, available are ${Array.from(processors.keys()).join(', ')}` };
+        }
+        const merged = { ...processor.defaults, ...settings };
+        const error = processor.validate ? processor.validate(merged) : null;
+        if (error) {
+            return { error: `${name}: ${error}` };
+        }
+        parsed.push({ name, settings: merged });
+    }
+    return { processors: parsed };
+}
+
+function loadChain() {
+    const fallback = parseProcessors(DEFAULT_CHAIN).processors;
+    if (!process.env.PIPELINE_FILE) return fallback;
+    try {
+        const config = JSON.parse(fs.readFileSync(process.env.PIPELINE_FILE, 'utf8'));
+        const { processors: chain, error } = parseProcessors(Array.isArray(config) ? config : config.processors);
+        if (error) throw new Error(error);
+        return chain;
+    } catch (error) {
+        console.error(`Could not load ${process.env.PIPELINE_FILE}, using the default lead processors:`, error.message);
+        return fallback;
+    }
+}
+
+const activeChain = loadChain();
+
+// The chain jobs run by default and every processor that can be used in one
+function getPipeline() {
+    return {
+        processors: activeChain,
+        available: Array.from(processors.values()).map(processor => ({
+            name: processor.name,
+            plugin: plugins.includes(processor),
+            defaults: processor.defaults || {}
+        }))
+    };
+}
+
+// Runs the chain over a record and sets its score and tags. A processor that fails, or one
+// whose plugin is gone since the job was queued, is skipped.
+async function runPipeline(record, chain = activeChain) {
+    record.score = 0;
+    record.tags = [];
+    for (const { name, settings } of chain) {
+        const processor = processors.get(name);
+        if (!processor) continue;
+
+        let result;
+        try {
+            result = await processor.process(record, settings);
+        } catch (error) {
+            console.error(`Lead processor ${name} failed for ${record.name}:`, error.message);
+            continue;
+        }
+        const { score, tags, ...fields } = result || {};
+        Object.assign(record, fields);
+        if (Number.isFinite(score)) record.score += score;
+        for (const tag of tags || []) {
+            if (!record.tags.includes(tag)) record.tags.push(tag);
+        }
+    }
+    return record;
+}
+
+module.exports = { parseProcessors, getPipeline, runPipeline };
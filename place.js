@@ -0,0 +1,61 @@
+// Helpers for the /maps/place URLs Google Maps links every listing to, and for coordinates
+
+const EARTH_RADIUS_KM = 6371;
+// Where searches are opened, MAPS_BASE_URL points scrapes at e.g. a local fixture server
+const MAPS_BASE_URL = (process.env.MAPS_BASE_URL || 'https://www.google.com/maps').replace(/\/+$/, '');
+
+// Feature ID of the place, e.g. 0x390cfd5b347eb62d:0x52c2b7494e204dce, from the !1s segment of the URL
+function parsePlaceId(url) {
+    const match = /!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i.exec(url || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+// The CID used by maps.google.com/?cid= links is the second half of the feature ID in decimal
+function cidFromPlaceId(placeId) {
+    if (!placeId) return null;
+    try {
+        return BigInt(placeId.split(':')[1]).toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Place coordinates from !3d<lat>!4d<lng>, or the map position from @lat,lng once a page has loaded
+function parseCoordinates(url) {
+    const match = /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/.exec(url || '')
+        || /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/.exec(url || '');
+    if (!match) return null;
+    return { latitude: parseFloat(match[1]), longitude: parseFloat(match[2]) };
+}
+
+function parsePlaceUrl(url) {
+    const placeId = parsePlaceId(url);
+    return {
+        placeId,
+        cid: cidFromPlaceId(placeId),
+        ...(parseCoordinates(url) || { latitude: null, longitude: null })
+    };
+}
+
+// { lat, lng } from a request, null when missing and undefined when invalid
+function parseReference(reference) {
+    if (reference === undefined || reference === null) return null;
+    const lat = Number(reference.lat);
+    const lng = Number(reference.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return undefined;
+    }
+    return { lat, lng };
+}
+
+// Great-circle distance in kilometres
+function distanceKm(from, to) {
+    const toRadians = degrees => (degrees * Math.PI) / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = { MAPS_BASE_URL, parsePlaceId, parsePlaceUrl, parseCoordinates, parseReference, distanceKm };
@@ -0,0 +1,151 @@
+// Optional field groups read from a place's details panel. Each group costs extra page work,
+// so jobs only collect the groups they ask for.
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Weekly hours, from the aria-label of the hours dropdown ("Monday, 9 am to 5 pm; Tuesday, ...")
+// or from the rows of the expanded hours table
+async function extractHours(page) {
+    const openingHours = await page.evaluate((days) => {
+        const hours = {};
+        const summary = document.querySelector('div.t39EBf[aria-label], [aria-label*="Hide open hours"]');
+        const label = summary ? summary.getAttribute('aria-label') : '';
+
+        for (const part of label.split(';')) {
+            const [day, ...rest] = part.split(',');
+            const name = day.trim();
+            if (days.includes(name)) {
+                hours[name] = rest.join(',').replace(/\. Hide open hours.*$/i, '').trim();
+            }
+        }
+
+        if (Object.keys(hours).length === 0) {
+            document.querySelectorAll('table tr').forEach(row => {
+                const cells = row.querySelectorAll('td');
+                const name = cells[0] ? cells[0].textContent.trim() : '';
+                if (cells.length >= 2 && days.includes(name)) {
+                    hours[name] = (cells[1].getAttribute('aria-label') || cells[1].textContent).trim();
+                }
+            });
+        }
+        return hours;
+    }, DAYS).catch(() => ({}));
+
+    return { openingHours: Object.keys(openingHours).length > 0 ? openingHours : 'N/A' };
+}
+
+// The closed notice sits in the header, so only the top of the panel is checked, not the reviews
+async function extractStatus(page) {
+    const text = await page.$eval('div[role="main"]', el => el.innerText.slice(0, 1000)).catch(() => '');
+    let businessStatus = 'operational';
+    if (/Permanently closed/i.test(text)) businessStatus = 'permanently_closed';
+    else if (/Temporarily closed/i.test(text)) businessStatus = 'temporarily_closed';
+    return { businessStatus };
+}
+
+// Shown as "₹₹" or "₹200–400" next to the rating, with "Price: Moderate" as its label
+async function extractPrice(page) {
+    const price = await page.$eval('span[aria-label^="Price"]', el => ({
+        text: el.textContent.trim(),
+        label: el.getAttribute('aria-label')
+    })).catch(() => null);
+
+    if (!price) return { priceLevel: 'N/A', priceRange: 'N/A' };
+    const symbols = price.text.replace(/[^$€£₹¥₩]/g, '');
+    return {
+        priceLevel: symbols ? symbols.length : price.label.replace(/^Price:\s*/i, ''),
+        priceRange: /\d/.test(price.text) ? price.text.replace(/^·\s*/, '') : 'N/A'
+    };
+}
+
+const SERVICE_OPTIONS = {
+    delivery: /delivery/i,
+    takeout: /takeout|takeaway/i,
+    dineIn: /dine-in/i,
+    curbsidePickup: /curbside/i,
+    wheelchairAccessible: /wheelchair/i
+};
+
+// Highlighted attributes from the overview, e.g. "Serves dine-in" or "Has wheelchair accessible entrance"
+async function extractAttributes(page) {
+    const labels = await page.$$eval('div.LTs0Rc[aria-label], div.E0DTEd [aria-label], li.hpLkke span[aria-label]', elements =>
+        elements.map(el => el.getAttribute('aria-label').trim()).filter(Boolean)
+    ).catch(() => []);
+    const attributes = Array.from(new Set(labels));
+
+    const serviceOptions = {};
+    for (const [option, pattern] of Object.entries(SERVICE_OPTIONS)) {
+        const label = attributes.find(attribute => pattern.test(attribute));
+        // Google phrases missing options as "No delivery" or "Doesn't offer takeout"
+        serviceOptions[option] = label ? !/^(no|doesn't|does not)\b/i.test(label) : 'N/A';
+    }
+    return { attributes, serviceOptions };
+}
+
+// Unclaimed listings carry a "Claim this business" link
+async function extractClaim(page) {
+    const hasClaimLink = await page.evaluate(() =>
+        Array.from(document.querySelectorAll('a, button')).some(el =>
+            /Claim this business/i.test(el.getAttribute('aria-label') || el.textContent || '')
+        )
+    ).catch(() => false);
+    return { claimed: !hasClaimLink };
+}
+
+// Owner-posted menu, booking and ordering links
+async function extractLinks(page) {
+    const links = await page.$$eval('a[data-item-id="menu"], a[data-item-id^="action:"], a[data-item-id="reserve"]', elements =>
+        elements.map(el => ({
+            id: el.getAttribute('data-item-id'),
+            label: (el.getAttribute('aria-label') || el.textContent || '').trim(),
+            href: el.href
+        }))
+    ).catch(() => []);
+
+    const find = pattern => {
+        const link = links.find(item => pattern.test(`${item.id} ${item.label}`));
+        return link ? link.href : 'N/A';
+    };
+    return {
+        menuUrl: find(/menu/i),
+        bookingUrl: find(/reserve|book|appointment/i),
+        orderUrl: find(/order/i)
+    };
+}
+
+async function extractPhotos(page) {
+    const text = await page.$eval('div[role="main"]', el => el.innerText).catch(() => '');
+    const match = text.match(/([\d,.]+)\s*(K)?\s+photos/i);
+    if (!match) return { photoCount: 'N/A' };
+    const count = parseFloat(match[1].replace(/,/g, ''));
+    return { photoCount: Math.round(match[2] ? count * 1000 : count) };
+}
+
+const FIELD_GROUPS = {
+    hours: extractHours,
+    status: extractStatus,
+    price: extractPrice,
+    attributes: extractAttributes,
+    claim: extractClaim,
+    links: extractLinks,
+    photos: extractPhotos
+};
+
+// Groups may be given as an array or a comma separated string, 'all' selects every group
+function parseFieldGroups(fields) {
+    if (!fields) return [];
+    const list = Array.isArray(fields) ? fields : String(fields).split(',');
+    const names = list.map(name => String(name).trim()).filter(Boolean);
+    return names.includes('all') ? Object.keys(FIELD_GROUPS) : Array.from(new Set(names));
+}
+
+function findUnknownFieldGroups(fields) {
+    return parseFieldGroups(fields).filter(name => !FIELD_GROUPS[name]);
+}
+
+async function extractFieldGroups(page, groups = []) {
+    const values = await Promise.all(groups.filter(name => FIELD_GROUPS[name]).map(name => FIELD_GROUPS[name](page)));
+    return Object.assign({}, ...values);
+}
+
+module.exports = { FIELD_GROUPS, parseFieldGroups, findUnknownFieldGroups, extractFieldGroups };
@@ -0,0 +1,165 @@
+// Built-in lead processors for pipeline.js: website tech detection, a domain age placeholder,
+// keyword tags and the scoring rules that add everything up into a score
+const { randomUserAgent } = require('./fingerprints');
+
+// Only the start of a page is searched for tech signatures
+const MAX_PAGE_BYTES = 512 * 1024;
+// Certificate errors Node reports for an https site a browser would warn about
+const CERTIFICATE_ERROR = /CERT|SELF_SIGNED|UNABLE_TO_VERIFY|ERR_TLS|ERR_SSL/;
+
+const TECH_SIGNATURES = [
+    { name: 'WordPress', tag: 'wordpress', body: [/\/wp-content\//, /\/wp-includes\//, /<meta[^>]+generator[^>]+WordPress/i] },
+    { name: 'Shopify', tag: 'shopify', body: [/cdn\.shopify\.com/, /Shopify\.theme/], headers: ['x-shopid', 'x-shopify-stage'] },
+    { name: 'Wix', tag: 'wix', body: [/static\.wixstatic\.com/, /<meta[^>]+generator[^>]+Wix/i], headers: ['x-wix-request-id'] },
+    { name: 'Squarespace', tag: 'squarespace', body: [/static1\.squarespace\.com/, /<!-- This is Squarespace\. -->/] },
+    { name: 'Webflow', tag: 'webflow', body: [/data-wf-site=/, /<meta[^>]+generator[^>]+Webflow/i] },
+    { name: 'Joomla', tag: 'joomla', body: [/<meta[^>]+generator[^>]+Joomla/i] },
+    { name: 'Drupal', tag: 'drupal', body: [/Drupal\.settings/, /<meta[^>]+generator[^>]+Drupal/i], headers: ['x-drupal-cache'] },
+    { name: 'GoDaddy Website Builder', tag: 'godaddy', body: [/img1\.wsimg\.com/] }
+];
+
+function hasValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== '' && value !== 'N/A';
+}
+
+// "4,5" is a rating with a decimal comma, "1,234" a review count with a thousands separator
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value ?? '').replace(/[()\s]/g, '');
+    return parseFloat(/^\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.'));
+}
+
+// The final URL after redirects, the response headers and the start of the body
+async function fetchPage(url, timeout) {
+    const response = await fetch(url, {
+        headers: { 'User-Agent': randomUserAgent(), Accept: 'text/html' },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeout)
+    });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let body = '';
+    while (body.length < MAX_PAGE_BYTES) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        body += decoder.decode(value, { stream: true });
+    }
+    await reader.cancel().catch(() => {});
+    return { url: response.url, headers: response.headers, body };
+}
+
+// Site builder or CMS from the home page, and no-ssl for sites without a working https. Not in the
+// default chain, see pipeline.js.
+const websiteTech = {
+    name: 'websiteTech',
+    defaults: { timeout: 8000 },
+    validate: ({ timeout }) => (Number.isInteger(timeout) && timeout > 0 ? null : 'timeout must be a number of milliseconds'),
+    async process(record, { timeout }) {
+        if (!hasValue(record.website)) return {};
+        const url = /^https?:\/\//i.test(record.website) ? record.website : `http://${record.website}`;
+
+        let page;
+        try {
+            page = await fetchPage(url, timeout);
+        } catch (error) {
+            const code = (error.cause && error.cause.code) || '';
+            if (url.startsWith('https:') && CERTIFICATE_ERROR.test(code)) return { tags: ['no-ssl'] };
+            // Unreachable from here doesn't mean the site is down, so it is left untagged
+            return {};
+        }
+
+        const tech = TECH_SIGNATURES.filter(signature =>
+            signature.body.some(pattern => pattern.test(page.body)) ||
+            (signature.headers || []).some(header => page.headers.has(header)));
+        const tags = tech.map(signature => signature.tag);
+        if (new URL(page.url).protocol !== 'https:') tags.push('no-ssl');
+        return { websiteTech: tech.map(signature => signature.name), tags };
+    }
+};
+
+// Placeholder for the age of the website's domain, which needs a WHOIS or RDAP service. A plugin
+// named domainAge replaces it and resolves with { domainAgeDays }, scoring rules can then use it.
+const domainAge = {
+    name: 'domainAge',
+    defaults: {},
+    process: () => ({})
+};
+
+// Tags a record when its name or category contains one of the tag's keywords, e.g.
+// { "keywords": { "dental": ["dentist", "dental", "orthodont"] } }
+const keywordTags = {
+    name: 'keywordTags',
+    defaults: { keywords: {}, fields: ['name', 'category'] },
+    validate: ({ keywords, fields }) => {
+        if (!keywords || typeof keywords !== 'object' || Array.isArray(keywords) ||
+            !Object.values(keywords).every(words => Array.isArray(words) && words.every(word => typeof word === 'string'))) {
+            return 'keywords must map each tag to a list of keywords';
+        }
+        if (!Array.isArray(fields) || fields.length === 0) return 'fields must be a list of record fields';
+        return null;
+    },
+    process(record, { keywords, fields }) {
+        const text = fields.map(field => String(record[field] ?? '')).join(' ').toLowerCase();
+        const tags = Object.entries(keywords)
+            .filter(([, words]) => words.some(word => text.includes(word.toLowerCase())))
+            .map(([tag]) => tag);
+        return { tags };
+    }
+};
+
+// Every condition a rule has must hold: present (true or false), min, max and includes, which
+// matches a list item, e.g. a tag, or part of a text
+function matchesRule(record, rule) {
+    const value = record[rule.field];
+    if (rule.present !== undefined && hasValue(value) !== rule.present) return false;
+    if (rule.min !== undefined && !(parseNumber(value) >= rule.min)) return false;
+    if (rule.max !== undefined && !(parseNumber(value) <= rule.max)) return false;
+    if (rule.includes !== undefined) {
+        const wanted = String(rule.includes).toLowerCase();
+        const found = Array.isArray(value)
+            ? value.some(item => String(item).toLowerCase() === wanted)
+            : String(value ?? '').toLowerCase().includes(wanted);
+        if (!found) return false;
+    }
+    return true;
+}
+
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || typeof rule.field !== 'string') return 'every rule needs a field';
+    if (rule.points === undefined && rule.tag === undefined) return `the ${rule.field} rule needs points or a tag`;
+    if (rule.points !== undefined && !Number.isFinite(rule.points)) return `points of the ${rule.field} rule must be a number`;
+    for (const bound of ['min', 'max']) {
+        if (rule[bound] !== undefined && !Number.isFinite(rule[bound])) return `${bound} of the ${rule.field} rule must be a number`;
+    }
+    if (rule.present !== undefined && typeof rule.present !== 'boolean') return `present of the ${rule.field} rule must be true or false`;
+    return null;
+}
+
+// What the team checked by hand after each export, up to 100 points
+const DEFAULT_RULES = [
+    { field: 'website', present: true, points: 20 },
+    { field: 'email', present: true, points: 25 },
+    { field: 'phone', present: true, points: 20 },
+    { field: 'rating', min: 4, points: 15 },
+    { field: 'reviews', min: 50, points: 20 },
+    { field: 'website', present: false, tag: 'no-website' },
+    { field: 'rating', min: 4.5, tag: 'top-rated' }
+];
+
+const scoring = {
+    name: 'scoring',
+    defaults: { rules: DEFAULT_RULES },
+    validate: ({ rules }) => (Array.isArray(rules) ? rules.map(validateRule).find(Boolean) || null : 'rules must be a list'),
+    process(record, { rules }) {
+        const matching = rules.filter(rule => matchesRule(record, rule));
+        return {
+            score: matching.reduce((sum, rule) => sum + (rule.points || 0), 0),
+            tags: matching.filter(rule => rule.tag).map(rule => rule.tag)
+        };
+    }
+};
+
+const BUILT_IN_PROCESSORS = [websiteTech, domainAge, keywordTags, scoring];
+
+module.exports = { BUILT_IN_PROCESSORS, DEFAULT_RULES, TECH_SIGNATURES, matchesRule, parseNumber };
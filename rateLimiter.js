@@ -0,0 +1,57 @@
+// Global cap on Google Maps page loads across all jobs, MAPS_REQUESTS_PER_MINUTE (default 60,
+// 0 turns it off). Up to a minute's worth can go out at once after a quiet spell, after that
+// loads are spread evenly.
+const parsed = parseInt(process.env.MAPS_REQUESTS_PER_MINUTE, 10);
+const REQUESTS_PER_MINUTE = Number.isNaN(parsed) ? 60 : Math.max(parsed, 0);
+
+let tokens = REQUESTS_PER_MINUTE;
+let lastRefill = Date.now();
+let timer = null;
+const waiting = [];
+
+function refill() {
+    const now = Date.now();
+    tokens = Math.min(REQUESTS_PER_MINUTE, tokens + ((now - lastRefill) * REQUESTS_PER_MINUTE) / 60000);
+    lastRefill = now;
+}
+
+function drain() {
+    timer = null;
+    refill();
+    while (waiting.length > 0 && tokens >= 1) {
+        tokens--;
+        waiting.shift().resolve(true);
+    }
+    if (waiting.length > 0) {
+        timer = setTimeout(drain, Math.ceil(((1 - tokens) * 60000) / REQUESTS_PER_MINUTE));
+    }
+}
+
+// Resolves with true once a page load may start, or false when the signal aborts first
+function waitForRequestSlot(signal) {
+    if (!REQUESTS_PER_MINUTE) return Promise.resolve(true);
+    if (signal && signal.aborted) return Promise.resolve(false);
+
+    return new Promise((resolve) => {
+        const onAbort = () => {
+            waiting.splice(waiting.indexOf(entry), 1);
+            resolve(false);
+        };
+        const entry = {
+            resolve: (value) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            }
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        waiting.push(entry);
+        if (!timer) drain();
+    });
+}
+
+function getRateLimitMetrics() {
+    refill();
+    return { requestsPerMinute: REQUESTS_PER_MINUTE, available: Math.floor(tokens), waiting: waiting.length };
+}
+
+module.exports = { waitForRequestSlot, getRateLimitMetrics };
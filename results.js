@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { dataPath, ensureDir } = require('./store');
+const { normalizePostalCode } = require('./address');
+const { parseNumber } = require('./processors');
+
+const RESULTS_DIR = dataPath('results');
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function resultsPath(jobId) {
+    return path.join(RESULTS_DIR, `${jobId}.ndjson`);
+}
+
+// One JSON line per record, written as soon as the record is scraped
+function appendResult(jobId, record) {
+    ensureDir(RESULTS_DIR);
+    fs.appendFileSync(resultsPath(jobId), JSON.stringify(record) + '\n');
+}
+
+function parseLine(line) {
+    if (!line.trim()) return null;
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        return null; // Line cut short by a crash
+    }
+}
+
+function readResults(jobId) {
+    let content;
+    try {
+        content = fs.readFileSync(resultsPath(jobId), 'utf8');
+    } catch (error) {
+        return [];
+    }
+    return content.split('\n').map(parseLine).filter(Boolean);
+}
+
+// Yield records one by one so exports don't hold a large job in memory, unless they have to be
+// sorted first
+async function* streamResults(jobId, { sort, ...filters } = {}) {
+    if (!fs.existsSync(resultsPath(jobId))) return;
+
+    const input = fs.createReadStream(resultsPath(jobId), 'utf8');
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const matching = [];
+    try {
+        for await (const line of lines) {
+            const record = parseLine(line);
+            if (!record || !matchesFilters(record, filters)) continue;
+            if (sort) matching.push(record);
+            else yield record;
+        }
+    } finally {
+        // Also when the consumer stops early, e.g. on a dropped download
+        input.destroy();
+    }
+    yield* sortRecords(matching, sort);
+}
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '' && value !== 'N/A';
+}
+
+function isTrue(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+function parseRating(rating) {
+    return parseFloat(String(rating).replace(',', '.'));
+}
+
+// Comma separated string or list, lowercased
+function toLowerList(value) {
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Filters come straight from the query string: city, pincode, category, minRating, maxRating, hasEmail, hasPhone,
+// minScore, maxScore and tags, which keeps records that have every one of the comma separated tags
+function matchesFilters(record, filters) {
+    const { city, pincode, category, minRating, maxRating, hasEmail, hasPhone, minScore, maxScore, tags } = filters;
+
+    if (city && String(record.city || '').toLowerCase() !== String(city).trim().toLowerCase()) return false;
+    // Postal codes are compared normalised, so "sw1a2aa" finds "SW1A 2AA"
+    if (pincode && String(record.pincode || '') !== normalizePostalCode(pincode, record.country)) return false;
+    if (category && !String(record.category || '').toLowerCase().includes(String(category).trim().toLowerCase())) {
+        return false;
+    }
+
+    const rating = parseRating(record.rating);
+    if (minRating !== undefined && !(rating >= parseFloat(minRating))) return false;
+    if (maxRating !== undefined && !(rating <= parseFloat(maxRating))) return false;
+
+    if (hasEmail !== undefined && hasValue(record.email) !== isTrue(hasEmail)) return false;
+    if (hasPhone !== undefined && hasValue(record.phone) !== isTrue(hasPhone)) return false;
+
+    // Records scraped before lead scoring existed have no score
+    if (minScore !== undefined && !(record.score >= parseFloat(minScore))) return false;
+    if (maxScore !== undefined && !(record.score <= parseFloat(maxScore))) return false;
+    if (tags !== undefined) {
+        const recordTags = toLowerList(record.tags || []);
+        if (!toLowerList(tags).every(tag => recordTags.includes(tag))) return false;
+    }
+    return true;
+}
+
+function compareValues(a, b) {
+    const numberA = parseNumber(a);
+    const numberB = parseNumber(b);
+    if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) return numberA - numberB;
+    return String(a).localeCompare(String(b));
+}
+
+// `sort` is a comma separated list of record fields, each prefixed with - for descending order,
+// e.g. "-score,name". Numbers such as ratings and review counts compare as numbers, records
+// without a value come last either way.
+function sortRecords(records, sort) {
+    const keys = String(sort || '').split(',')
+        .map(key => key.trim())
+        .filter(Boolean)
+        .map(key => (key.startsWith('-') ? { field: key.slice(1), direction: -1 } : { field: key, direction: 1 }));
+    if (keys.length === 0) return records;
+
+    return records.sort((a, b) => {
+        for (const { field, direction } of keys) {
+            const missingA = !hasValue(a[field]);
+            const missingB = !hasValue(b[field]);
+            if (missingA || missingB) {
+                if (missingA !== missingB) return missingA ? 1 : -1;
+                continue;
+            }
+            const order = compareValues(a[field], b[field]) * direction;
+            if (order !== 0) return order;
+        }
+        return 0;
+    });
+}
+
+function queryResults(jobId, { page, pageSize, sort, ...filters } = {}) {
+    const size = Math.min(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+    const matching = sortRecords(readResults(jobId).filter(record => matchesFilters(record, filters)), sort);
+
+    return {
+        total: matching.length,
+        page: current,
+        pageSize: size,
+        results: matching.slice((current - 1) * size, current * size)
+    };
+}
+
+module.exports = { appendResult, readResults, streamResults, queryResults, matchesFilters, sortRecords };
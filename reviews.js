@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { dataPath, ensureDir } = require('./store');
+
+const REVIEWS_DIR = dataPath('reviews');
+const DEFAULT_MAX_REVIEWS = 20;
+const MAX_REVIEWS_PER_PLACE = 500;
+
+// Position of each option in the "Sort reviews" menu
+const REVIEW_SORTS = { relevant: 0, newest: 1, highest: 2, lowest: 3 };
+
+// Review settings from a request: true for the defaults, or { max, sort }. Returns an error message when invalid.
+function parseReviewOptions(reviews) {
+    if (!reviews) return { options: null };
+    const { max = DEFAULT_MAX_REVIEWS, sort = 'relevant' } = reviews === true ? {} : reviews;
+
+    const maxReviews = parseInt(max, 10);
+    if (!(maxReviews > 0) || maxReviews > MAX_REVIEWS_PER_PLACE) {
+        return { error: `reviews.max must be between 1 and ${MAX_REVIEWS_PER_PLACE}` };
+    }
+    if (!Object.prototype.hasOwnProperty.call(REVIEW_SORTS, sort)) {
+        return { error: `reviews.sort must be one of ${Object.keys(REVIEW_SORTS).join(', ')}` };
+    }
+    return { options: { max: maxReviews, sort } };
+}
+
+async function sortReviews(page, sort) {
+    if (!REVIEW_SORTS[sort]) return; // Most relevant is the default order
+    await page.click('button[aria-label="Sort reviews"], button[data-value="Sort"]', { timeout: 5000 });
+    const items = await page.waitForSelector('div[role="menuitemradio"]', { timeout: 5000 })
+        .then(() => page.$$('div[role="menuitemradio"]'));
+    await items[REVIEW_SORTS[sort]].click();
+    await page.waitForTimeout(1500);
+}
+
+// Open the reviews tab of a place's details page and collect up to `max` reviews
+async function scrapeReviews(page, { max, sort }) {
+    try {
+        await page.click('button[role="tab"][aria-label^="Reviews"]', { timeout: 5000 });
+        await page.waitForSelector('div.jftiEf[data-review-id]', { timeout: 10000 });
+        await sortReviews(page, sort).catch(error => console.error('Could not sort reviews:', error.message));
+
+        let lastCount = 0;
+        let unchanged = 0;
+        while (unchanged < 3) {
+            const count = await page.$$eval('div.jftiEf[data-review-id]', els => els.length);
+            if (count >= max) break;
+            unchanged = count === lastCount ? unchanged + 1 : 0;
+            lastCount = count;
+
+            await page.evaluate(() => {
+                const review = document.querySelector('div.jftiEf[data-review-id]');
+                const scroller = review && review.closest('div.m6QErb.DxyBCb');
+                if (scroller) scroller.scrollTop = scroller.scrollHeight;
+            });
+            await page.waitForTimeout(1000);
+        }
+
+        // Expand truncated texts before reading them
+        await page.$$eval('button.w8nwRe', buttons => buttons.forEach(button => button.click())).catch(() => {});
+
+        const reviews = await page.$$eval('div.jftiEf[data-review-id]', elements => elements.map(el => {
+            const text = selector => {
+                const node = el.querySelector(selector);
+                return node ? node.textContent.trim() : 'N/A';
+            };
+            const ratingLabel = el.querySelector('span.kvMYJc');
+            const ratingMatch = ratingLabel ? /([\d.,]+)/.exec(ratingLabel.getAttribute('aria-label') || '') : null;
+
+            return {
+                reviewId: el.getAttribute('data-review-id'),
+                reviewer: text('div.d4r55'),
+                rating: ratingMatch ? parseFloat(ratingMatch[1].replace(',', '.')) : 'N/A',
+                date: text('span.rsqaWe'),
+                text: text('span.wiI7pd'),
+                ownerResponse: text('div.CDe7pd div.wiI7pd'),
+                photoCount: el.querySelectorAll('button.Tya61d').length
+            };
+        }));
+
+        // The same review can be rendered twice while the list is re-rendered
+        const unique = new Map(reviews.map(review => [review.reviewId, review]));
+        return Array.from(unique.values()).slice(0, max);
+    } catch (error) {
+        console.error('Error scraping reviews:', error.message);
+        return [];
+    }
+}
+
+function reviewsPath(jobId) {
+    return path.join(REVIEWS_DIR, `${jobId}.ndjson`);
+}
+
+function appendReviews(jobId, reviews) {
+    if (reviews.length === 0) return;
+    ensureDir(REVIEWS_DIR);
+    fs.appendFileSync(reviewsPath(jobId), reviews.map(review => JSON.stringify(review) + '\n').join(''));
+}
+
+async function* streamReviews(jobId, { businessId } = {}) {
+    if (!fs.existsSync(reviewsPath(jobId))) return;
+
+    const input = fs.createReadStream(reviewsPath(jobId), 'utf8');
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            let review;
+            try {
+                review = JSON.parse(line);
+            } catch (error) {
+                continue; // Skip a line cut short by a crash
+            }
+            if (!businessId || review.businessId === businessId) yield review;
+        }
+    } finally {
+        // Also when the consumer stops early, e.g. on a dropped download
+        input.destroy();
+    }
+}
+
+module.exports = { REVIEW_SORTS, parseReviewOptions, scrapeReviews, appendReviews, streamReviews };
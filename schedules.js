@@ -0,0 +1,200 @@
+// Recurring jobs on a cron schedule. Every finished run is compared with the schedule's previous
+// completed run, see diff.js.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath, writeJson, listJson } = require('./store');
+const { createJob, getJob, checkJobQuota, jobEvents } = require('./jobs');
+const { nextRun } = require('./cron');
+const { createDiff } = require('./diff');
+
+const SCHEDULES_DIR = dataPath('schedules');
+const CHECK_INTERVAL = 30000;
+// Older runs are dropped from the schedule record, their jobs stay in the job history
+const MAX_RUNS = 100;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const schedules = new Map();
+
+function saveSchedule(schedule) {
+    writeJson(path.join(SCHEDULES_DIR, `${schedule.id}.json`), schedule);
+}
+
+function updateSchedule(schedule, changes) {
+    Object.assign(schedule, changes, { updatedAt: new Date().toISOString() });
+    saveSchedule(schedule);
+    return schedule;
+}
+
+function nextRunAt(cron) {
+    const date = nextRun(cron);
+    return date ? date.toISOString() : null;
+}
+
+// Last completed run before the given one, the baseline its diff is computed against
+function previousCompletedRun(schedule, jobId) {
+    const index = schedule.runs.findIndex(run => run.jobId === jobId);
+    return schedule.runs
+        .slice(0, index === -1 ? schedule.runs.length : index)
+        .reverse()
+        .find(run => run.status === 'completed');
+}
+
+async function finishRun(schedule, jobId) {
+    const run = schedule.runs.find(item => item.jobId === jobId);
+    const job = getJob(jobId);
+    if (!run || !job) return;
+
+    run.status = job.status;
+    // A run that stopped early would report every place it didn't reach as gone,
+    // it is compared once it has been resumed and completed
+    if (job.status !== 'completed') {
+        updateSchedule(schedule, {});
+        watchRun(schedule, jobId);
+        return;
+    }
+
+    run.finishedAt = job.finishedAt;
+    const previous = previousCompletedRun(schedule, jobId);
+    if (previous) {
+        try {
+            const diff = await createDiff({ scheduleId: schedule.id, previousJobId: previous.jobId, jobId });
+            run.diff = diff.summary;
+            run.previousJobId = previous.jobId;
+        } catch (error) {
+            console.error(`Could not compare runs of schedule ${schedule.id}:`, error);
+        }
+    }
+    updateSchedule(schedule, {});
+}
+
+function watchRun(schedule, jobId) {
+    const onEvent = (event) => {
+        if (event.type !== 'complete' && event.type !== 'error') return;
+        jobEvents.removeListener(jobId, onEvent);
+        finishRun(schedule, jobId);
+    };
+    jobEvents.on(jobId, onEvent);
+}
+
+// Queue a job with the schedule's params for the schedule's owner, unless its previous run is
+// still going or the owner is out of quota
+function runSchedule(schedule) {
+    const lastRun = schedule.runs[schedule.runs.length - 1];
+    const lastJob = lastRun && getJob(lastRun.jobId);
+    if (lastJob && ACTIVE_STATUSES.includes(lastJob.status)) {
+        return { error: 'The previous run is still in progress', jobId: lastJob.id };
+    }
+    const quotaError = checkJobQuota(schedule.userId);
+    if (quotaError) {
+        return { error: quotaError };
+    }
+
+    // skipKnown would leave out every place earlier runs found and the diff would report them as
+    // removed, it is rejected on new schedules and ignored on ones saved before that
+    const { searches, skipKnown, ...params } = schedule.params;
+    const job = createJob({
+        ...params,
+        scheduleId: schedule.id,
+        // Every run starts from fresh copies of the sub-searches
+        ...(searches ? { searches: JSON.parse(JSON.stringify(searches)) } : {})
+    }, schedule.type, { userId: schedule.userId, team: schedule.team });
+
+    const runs = [...schedule.runs, { jobId: job.id, startedAt: job.createdAt, status: job.status, diff: null }];
+    updateSchedule(schedule, { runs: runs.slice(-MAX_RUNS), lastRunAt: job.createdAt });
+    watchRun(schedule, job.id);
+    return { job };
+}
+
+function checkSchedules() {
+    const now = new Date().toISOString();
+    for (const schedule of schedules.values()) {
+        if (!schedule.enabled || !schedule.nextRunAt || schedule.nextRunAt > now) continue;
+        const { error } = runSchedule(schedule);
+        if (error) console.log(`Skipping run of schedule ${schedule.id}: ${error}`);
+        updateSchedule(schedule, { nextRunAt: nextRunAt(schedule.cron) });
+    }
+}
+
+// Load schedules, settle runs that completed while the server was down and start the timer.
+// Call after initJobs so the runs' jobs are known.
+function initSchedules() {
+    for (const schedule of listJson(SCHEDULES_DIR)) {
+        schedules.set(schedule.id, schedule);
+        for (const run of schedule.runs) {
+            const job = getJob(run.jobId);
+            if (!job || run.finishedAt) continue;
+            if (job.status === 'completed') finishRun(schedule, job.id);
+            else watchRun(schedule, job.id);
+        }
+    }
+
+    checkSchedules();
+    setInterval(checkSchedules, CHECK_INTERVAL).unref();
+}
+
+// `type` and `params` come from the job parsers in jobOptions.js, `owner` is { userId, team }
+// and its runs belong to them
+function createSchedule({ name, cron, type, params, enabled = true }, owner = {}) {
+    const now = new Date().toISOString();
+    const schedule = {
+        id: crypto.randomUUID(),
+        name: name || `${type} schedule`,
+        cron,
+        type,
+        params,
+        enabled: enabled !== false,
+        userId: owner.userId || null,
+        team: owner.team || null,
+        nextRunAt: nextRunAt(cron),
+        lastRunAt: null,
+        runs: [],
+        createdAt: now,
+        updatedAt: now
+    };
+    schedules.set(schedule.id, schedule);
+    saveSchedule(schedule);
+    return schedule;
+}
+
+function getSchedule(id) {
+    return schedules.get(id) || null;
+}
+
+// `team` limits the list to one team's schedules
+function listSchedules({ team } = {}) {
+    return Array.from(schedules.values())
+        .filter(schedule => !team || schedule.team === team)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Only the name, cron expression and enabled flag can change, the search itself cannot
+function editSchedule(id, { name, cron, enabled }) {
+    const schedule = schedules.get(id);
+    if (!schedule) return null;
+
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (enabled !== undefined) changes.enabled = !!enabled;
+    if (cron !== undefined) changes.cron = cron;
+    changes.nextRunAt = nextRunAt(changes.cron || schedule.cron);
+    return updateSchedule(schedule, changes);
+}
+
+function deleteSchedule(id) {
+    const schedule = schedules.get(id);
+    if (!schedule) return null;
+    schedules.delete(id);
+    fs.rmSync(path.join(SCHEDULES_DIR, `${id}.json`), { force: true });
+    return schedule;
+}
+
+module.exports = {
+    initSchedules,
+    createSchedule,
+    getSchedule,
+    listSchedules,
+    editSchedule,
+    deleteSchedule,
+    runSchedule
+};
@@ -1,279 +1,73 @@
-const { chromium } = require('playwright');
-const { Worker } = require('worker_threads');
-const path = require('path');
-const os = require('os');
-
-// Update worker pool management
-const NUM_WORKERS = 4;
-let workers = [];
-let currentWorkerIndex = 0;
-
-// Add this at the top of the file
-const processedUrls = new Set(); // Track all processed URLs globally
-
-function initializeWorkerPool() {
-    // Clean up existing workers
-    cleanupWorkers();
-    
-    // Create new workers
-    for (let i = 0; i < NUM_WORKERS; i++) {
-        const worker = new Worker(path.join(__dirname, 'worker.js'));
-        workers.push(worker);
-    }
-    currentWorkerIndex = 0;
-}
-
-function getNextWorker() {
-    if (workers.length === 0) {
-        initializeWorkerPool();
-    }
-    const worker = workers[currentWorkerIndex];
-    currentWorkerIndex = (currentWorkerIndex + 1) % workers.length;
-    return worker;
+const { MAPS_BASE_URL, parsePlaceUrl, parseCoordinates } = require('./place');
+const { extractFieldGroups } = require('./placeDetails');
+const { scrapeReviews } = require('./reviews');
+const { verifyBusinessEmails } = require('./emailVerification');
+const { acquireContext } = require('./browserPool');
+const { lookupContacts } = require('./contactLookup');
+const { normalizePhone } = require('./phone');
+const { parseAddress } = require('./address');
+const { getExtractionConfig, selectorList, extractField, blockSelectors, detectBlock } = require('./extractionConfig');
+const { proxyForContext, contextProxy, reportProxy, isProxyError } = require('./proxies');
+const { randomFingerprint } = require('./fingerprints');
+const { waitForRequestSlot } = require('./rateLimiter');
+
+const BLOCK_MESSAGES = {
+    consent: 'Google showed its cookie consent page instead of Maps',
+    captcha: 'Google showed a CAPTCHA after detecting unusual traffic'
+};
+
+// Same place listed twice under different URLs
+function duplicateKey(business) {
+    return [business.name, business.address, business.phone].join('|');
 }
 
-// Function to extract emails from a webpage
-async function extractEmailsFromWebsite(page, url) {
-    // console.log(`\nStarting email extraction for URL: ${url}`);
-    try {
-        if (!url || url === 'N/A') {
-             //console.log('Invalid URL provided');
-            return 'N/A';
-        }
+// options.baseUrl replaces MAPS_BASE_URL and options.pageSource the browser pool, it is called like
+// acquireContext and resolves with { context, release }. Tests use both to scrape local fixtures.
+// options.extractionConfig replaces the selectors from extractionConfig.js, options.proxy is
+// { pool, rotation, jobId } for proxyForContext. A scrape Google blocks ends with endReason 'blocked'.
+// options.reserveContactLookup is called before each email lookup, returning false skips it.
+// options.postProcess is awaited for every record before it is handed to onDataScraped, the
+// listings of a batch are post-processed side by side.
+async function scrapeGoogleMaps(query, total = Infinity, onDataScraped, signal, extractEmail = false, options = {}) {
+    total = total ?? Infinity;
+    // Track processed place URLs for this scrape, seeded from a checkpoint when resuming
+    const processedUrls = new Set(options.processedUrls || []);
+    let lease = null;
+    let scrapedData = [];
+    const seenBusinesses = new Set();
+    const baseUrl = (options.baseUrl || MAPS_BASE_URL).replace(/\/+$/, '');
+    const pageSource = options.pageSource || acquireContext;
+    const extraction = options.extractionConfig || getExtractionConfig();
+    const { search: searchSelectors, fields } = extraction;
+    const feedSelector = selectorList(searchSelectors.feed);
+    let proxy = null;
+    let isStopped = false;
+    let blockedBy = null; // consent or captcha once a page turns out to be a block page
+    let endReason = 'end_of_results'; // limit_reached, end_of_results, stopped, blocked or error
+    const MAX_CONCURRENT = extractEmail ? 2 : 4; // Adjust concurrent operations
 
-        // Clean URL
-        url = url.trim().split('?')[0].replace(/\/+$/, '');
-        if (!url.startsWith('http')) {
-            url = 'https://' + url;
-        }
-        // console.log(`Cleaned URL: ${url}`);
-
-        try {
-            console.log('Navigating to website...');
-            await page.goto(url, { 
-                timeout: 60000,
-                waitUntil: 'domcontentloaded'
-            });
-            console.log('Successfully loaded website');
-
-            const emails = await extractEmailsFromPage(page);
-            // console.log(`Found ${emails.length} potential emails`);  
-            
-            if (emails.length > 0) {
-                console.log(`Emails found: ${emails.join(', ')}`);
-                return emails[0];
-            }
-            
-            // console.log('No emails found on main page, checking contact pages...');
-            // Check contact page if no emails found
-            const contactLinks = await page.$$eval(
-                'a[href*="contact"], a[href*="about"], a[href*="Contact"], a[href*="About"]', 
-                links => links.map(link => link.href)
-            );
-            
-            // console.log(`Found ${contactLinks.length} contact/about links`);
-            
-            for (const contactUrl of contactLinks) {
-                try {
-                    await page.goto(contactUrl, { timeout: 15000 });
-                    const contactEmails = await extractEmailsFromPage(page);
-                    if (contactEmails.length > 0) {
-                        // console.log(`Found emails on contact page: ${contactUrl}`);
-                        return contactEmails[0];
-                    }
-                } catch (error) {
-                    console.log(`Error checking contact page: ${contactUrl}`);
-                }
-            }
-        } catch (error) {
-            console.log(`Failed to navigate to ${url}: ${error.message}`);
-            return 'N/A';
-        }
-    } catch (error) {
-        console.log(`Email extraction error: ${error.message}`);
-        return 'N/A';
+    // Mirror progress messages to the caller, e.g. the job's event stream
+    function log(message) {
+        console.log(message);
+        if (options.onLog) options.onLog(message);
     }
-}
-
-// Helper function to extract emails from a page
-async function extractEmailsFromPage(page) {
-    const emails = await page.evaluate(() => {
-        const results = [];
-        
-        // Regular expression for email
-        const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-        
-        // Get text content
-        const text = document.body.innerText;
-        const textEmails = text.match(emailRegex) || [];
-        results.push(...textEmails);
-        
-        // Get mailto links
-        const mailtoLinks = Array.from(document.querySelectorAll('a[href^="mailto:"]'))
-            .map(link => link.href.replace('mailto:', '').split('?')[0]);
-        results.push(...mailtoLinks);
-        
-        // Get emails from input fields
-        const emailInputs = Array.from(document.querySelectorAll('input[type="email"]'))
-            .map(input => input.value)
-            .filter(email => email.includes('@'));
-        results.push(...emailInputs);
-        
-        return results;
-    });
-    
-    return emails;
-}
-
-// Update the batch size and concurrent operations
-const MAX_CONCURRENT_WITH_EMAIL = 4;
-const MAX_CONCURRENT_WITHOUT_EMAIL = 8;  // Increased for faster scraping
-const MAX_RETRIES = 2;
-
-async function processListingsBatch(listings) {
-    const results = [];
-    const batchSize = Math.min(extractEmail ? MAX_CONCURRENT_WITH_EMAIL : MAX_CONCURRENT_WITHOUT_EMAIL, listings.length);
-    
-    for (let i = 0; i < listings.length; i += batchSize) {
-        if (isStopped) break;
-        
-        const batch = listings.slice(i, i + batchSize);
-        const batchPromises = batch.map(async (listing) => {
-            try {
-                const detailsPage = await context.newPage();
-                await detailsPage.setDefaultNavigationTimeout(15000);
-
-                const href = await listing.getAttribute('href');
-                const name = await listing.getAttribute('aria-label').catch(() => 'N/A');
-                
-                // Skip duplicates
-                const key = `${href}-${name}`;
-                if (processedUrls.has(key)) {
-                    await detailsPage.close();
-                    return null;
-                }
-                processedUrls.add(key);
-
-                // Fast navigation
-                await detailsPage.goto(href, { 
-                    waitUntil: 'domcontentloaded',
-                    timeout: extractEmail ? 10000 : 5000 
-                });
-
-                // Extract basic data first
-                const [website, address, rating, reviews, category] = await Promise.all([
-                    detailsPage.$eval('a[data-item-id="authority"]', el => el.href).catch(() => 'N/A'),
-                    detailsPage.$eval('button[data-item-id="address"] div', el => el.textContent.trim()).catch(() => 'N/A'),
-                    detailsPage.$eval('div.F7nice span[aria-hidden="true"]', el => el.textContent.trim()).catch(() => 'N/A'),
-                    detailsPage.$eval('div.F7nice span[aria-label*="reviews"]', el => el.getAttribute('aria-label').split(' ')[0]).catch(() => 'N/A'),
-                    detailsPage.$eval('button.DkEaL', el => el.textContent.trim()).catch(() => 'N/A')
-                ]);
-
-                const business = { name, website, address, rating, reviews, category, phone: 'N/A', countryCode: 'N/A', email: 'N/A' };
-
-                // Extract phone in parallel with other operations
-                const phoneElement = await detailsPage.$('button[data-item-id^="phone:tel:"] div');
-                if (phoneElement) {
-                    business.phone = await phoneElement.textContent();
-                    const phoneMatch = business.phone.match(/\+(\d+)/);
-                    if (phoneMatch) {
-                        business.countryCode = `+${phoneMatch[1]}`;
-                        business.phone = business.phone.replace(business.countryCode, '').trim();
-                    } else {
-                        business.countryCode = '+91';
-                        if (business.phone.startsWith('0')) {
-                            business.phone = business.phone.substring(1).trim();
-                        }
-                    }
-                }
-
-                // Process address parts
-                const addressParts = address.split(',');
-                if (addressParts.length >= 2) {
-                    business.city = addressParts[addressParts.length - 2].trim();
-                    const statePin = addressParts[addressParts.length - 1].trim();
-                    const pinMatch = statePin.match(/\d{6}/);
-                    business.pincode = pinMatch ? pinMatch[0] : 'N/A';
-                    business.state = pinMatch ? statePin.replace(pinMatch[0], '').trim() : statePin;
-                }
-
-                // Extract email only if needed
-                if (extractEmail && website !== 'N/A') {
-                    try {
-                        const worker = getNextWorker();
-                        if (!worker) {
-                            business.email = 'N/A';
-                        } else {
-                            const requestId = Date.now() + '-' + Math.random();
-                            
-                            const result = await new Promise((resolve) => {
-                                const timeoutId = setTimeout(() => {
-                                    try {
-                                        worker.removeListener('message', messageHandler);
-                                    } catch (err) {}
-                                    resolve({ error: false, email: 'N/A' });
-                                }, 15000);
-
-                                const messageHandler = (data) => {
-                                    if (data.requestId === requestId) {
-                                        clearTimeout(timeoutId);
-                                        try {
-                                            worker.removeListener('message', messageHandler);
-                                        } catch (err) {}
-                                        resolve(data);
-                                    }
-                                };
-
-                                try {
-                                    worker.on('message', messageHandler);
-                                    worker.postMessage({ business, requestId });
-                                } catch (err) {
-                                    clearTimeout(timeoutId);
-                                    resolve({ error: false, email: 'N/A' });
-                                }
-                            });
-
-                            business.email = result.error ? 'N/A' : (result.email || 'N/A');
-                        }
-                    } catch (error) {
-                        console.error(`Error extracting email for ${business.name}:`, error);
-                        business.email = 'N/A';
-                    }
-                }
-
-                await detailsPage.close();
-                return business;
-            } catch (error) {
-                return null;
-            }
-        });
 
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults.filter(r => r !== null));
+    // The proxy rests and the caller learns to pause instead of reporting an empty result
+    function blockedResult(reason) {
+        reportProxy(proxy, 'banned', BLOCK_MESSAGES[reason]);
+        log(`Blocked: ${BLOCK_MESSAGES[reason]}`);
+        return { results: scrapedData, endReason: 'blocked', blockedBy: reason, error: BLOCK_MESSAGES[reason] };
     }
-    return results;
-}
-
-async function scrapeGoogleMaps(query, total = Infinity, onDataScraped, signal, extractEmail = false) {
-    processedUrls.clear(); // Clear processed URLs at start of new scrape
-    let browser = null;
-    let scrapedData = [];
-    let isStopped = false;
-    const MAX_CONCURRENT = extractEmail ? 2 : 4; // Adjust concurrent operations
 
     try {
-        // Initialize new worker pool for each scraping session
-            initializeWorkerPool();
-
-        browser = await chromium.launch({ 
-            headless: true,
-            args: ['--disable-dev-shm-usage', '--no-sandbox', '--disable-setuid-sandbox']
-        });
-        
-        const context = await browser.newContext({
-            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            viewport: { width: 1920, height: 1080 }
-        });
+        const selection = proxyForContext(options.proxy);
+        if (selection.error) {
+            log(selection.error);
+            return { results: scrapedData, endReason: 'blocked', blockedBy: 'proxies', error: selection.error };
+        }
+        proxy = selection.proxy;
+        lease = await pageSource({ ...randomFingerprint(), proxy: contextProxy(proxy) });
+        const { context } = lease;
 
         const page = await context.newPage();
 
@@ -282,10 +76,38 @@ async function scrapeGoogleMaps(query, total = Infinity, onDataScraped, signal,
             // console.log('Received abort signal');
         });
 
-        await page.goto('https://www.google.com/maps', { waitUntil: 'networkidle' });
-        await page.fill('#searchboxinput', query);
-        await page.keyboard.press('Enter');
-        await page.waitForSelector('div[role="feed"]', { timeout: 30000 });
+        // Every Maps page load waits for the global rate limit
+        if (!(await waitForRequestSlot(signal))) {
+            return { results: scrapedData, endReason: 'stopped' };
+        }
+        if (options.searchUrl) {
+            // Opens the search at a fixed position and zoom, e.g. /maps/search/<query>/@lat,lng,zoomz
+            await page.goto(options.searchUrl, { waitUntil: 'domcontentloaded' });
+        } else {
+            await page.goto(baseUrl, { waitUntil: 'networkidle' });
+            const blockedOnHome = await detectBlock(page, extraction);
+            if (blockedOnHome) return blockedResult(blockedOnHome);
+            await page.fill(selectorList(searchSelectors.searchInput), query);
+            await page.keyboard.press('Enter');
+        }
+        // Whichever shows up first, the feed or a block page in its place
+        const loaded = await page.waitForSelector(selectorList([...searchSelectors.feed, ...blockSelectors(extraction)]), { timeout: 30000 })
+            .then(() => true, () => false);
+        const blockedOnSearch = await detectBlock(page, extraction);
+        if (blockedOnSearch) return blockedResult(blockedOnSearch);
+
+        const feed = loaded ? await page.$(feedSelector) : null;
+        if (!feed) {
+            // A search without matches, e.g. an empty grid tile, shows a message instead of a feed
+            const noResults = await page.evaluate(text => document.body.innerText.includes(text), searchSelectors.noResultsText)
+                .catch(() => false);
+            if (!noResults) throw new Error(`Timed out waiting for the results feed (${feedSelector})`);
+            reportProxy(proxy, 'ok');
+            log(`No results for "${query}"`);
+            return { results: scrapedData, endReason: 'end_of_results' };
+        }
+        reportProxy(proxy, 'ok');
+        log(`Search results loaded for "${query}"`);
 
         let scrollAttempts = 0;
         let lastResultsCount = 0;
@@ -294,119 +116,102 @@ async function scrapeGoogleMaps(query, total = Infinity, onDataScraped, signal,
         // Optimize batch processing
         async function processListingsBatch(listings) {
             const results = [];
-            const batchSize = Math.min(MAX_CONCURRENT, listings.length);
             
-            for (let i = 0; i < listings.length; i += batchSize) {
+            for (let i = 0; i < listings.length;) {
                 if (isStopped) break;
+
+                // Never open more detail pages than results still needed
+                const remaining = total - scrapedData.length - results.length;
+                if (remaining <= 0) break;
                 
-                const batch = listings.slice(i, i + batchSize);
+                const batch = listings.slice(i, i + Math.min(MAX_CONCURRENT, remaining));
+                i += batch.length;
                 const batchPromises = batch.map(async (listing) => {
                     try {
-                        const detailsPage = await context.newPage();
-                        await detailsPage.setDefaultNavigationTimeout(20000);
-
                         const href = await listing.getAttribute('href');
                         const name = await listing.getAttribute('aria-label').catch(() => 'N/A');
                         
-                        // Skip if already processed this URL or business name
-                        const key = `${href}-${name}`;
-                        if (processedUrls.has(key)) {
-                            await detailsPage.close();
+                        // Skip if already processed this place, the query string changes between sessions
+                        const placeUrl = href.split('?')[0];
+                        if (processedUrls.has(placeUrl)) {
+                            return null;
+                        }
+                        processedUrls.add(placeUrl);
+                        if (options.shouldSkip && options.shouldSkip(placeUrl)) {
                             return null;
                         }
-                        processedUrls.add(key);
 
+                        if (!(await waitForRequestSlot(signal))) {
+                            return null;
+                        }
+                        const detailsPage = await context.newPage();
+                        await detailsPage.setDefaultNavigationTimeout(20000);
                         await detailsPage.goto(href, { waitUntil: 'domcontentloaded' });
 
+                        const blockedOnPlace = await detectBlock(detailsPage, extraction);
+                        if (blockedOnPlace) {
+                            blockedBy = blockedOnPlace;
+                            isStopped = true;
+                            await detailsPage.close();
+                            return null;
+                        }
+
                         // Extract business data
                         const business = {
                             name: name,
-                            website: await detailsPage.$eval('a[data-item-id="authority"]', el => el.href).catch(() => 'N/A'),
+                            placeUrl,
+                            website: await extractField(detailsPage, fields.website),
                             phone: 'N/A',
                             countryCode: 'N/A',
-                            address: await detailsPage.$eval('button[data-item-id="address"] div', el => el.textContent.trim()).catch(() => 'N/A'),
-                            rating: await detailsPage.$eval('div.F7nice span[aria-hidden="true"]', el => el.textContent.trim()).catch(() => 'N/A'),
-                            reviews: await detailsPage.$eval('div.F7nice span[aria-label*="reviews"]', el => el.getAttribute('aria-label').split(' ')[0]).catch(() => 'N/A'),
-                            category: await detailsPage.$eval('button.DkEaL', el => el.textContent.trim()).catch(() => 'N/A'),
-                            email: 'N/A'
+                            address: await extractField(detailsPage, fields.address),
+                            rating: await extractField(detailsPage, fields.rating),
+                            reviews: await extractField(detailsPage, fields.reviews),
+                            category: await extractField(detailsPage, fields.category),
+                            plusCode: await extractField(detailsPage, fields.plusCode),
+                            email: 'N/A',
+                            ...parsePlaceUrl(href)
                         };
 
-                        // Check for duplicate based on multiple fields
-                        const isDuplicate = results.some(existingBusiness => 
-                            existingBusiness.name === business.name &&
-                            existingBusiness.address === business.address &&
-                            existingBusiness.phone === business.phone
-                        );
+                        if (business.latitude === null) {
+                            Object.assign(business, parseCoordinates(detailsPage.url()) || {});
+                        }
+
+                        // The country the address ends with wins, then the job's region
+                        Object.assign(business, parseAddress(business.address, options.region));
 
-                        if (isDuplicate) {
+                        const rawPhone = await extractField(detailsPage, fields.phone);
+                        // Numbers without a + are local to the listing's country
+                        Object.assign(business, normalizePhone(rawPhone, business.country === 'N/A' ? options.region : business.country));
+
+                        // Checked and recorded without an await in between, so concurrent pages can't both pass
+                        if (seenBusinesses.has(duplicateKey(business))) {
                             await detailsPage.close();
                             return null;
                         }
+                        seenBusinesses.add(duplicateKey(business));
 
-                        // Get phone number
-                        const phoneElement = await detailsPage.$('button[data-item-id^="phone:tel:"] div');
-                        if (phoneElement) {
-                            business.phone = await phoneElement.textContent().catch(() => 'N/A');
-                            const phoneMatch = business.phone.match(/\+(\d+)/);
-                            if (phoneMatch) {
-                                business.countryCode = `+${phoneMatch[1]}`;
-                                business.phone = business.phone.replace(business.countryCode, '').trim();
-                            } else if (business.phone.startsWith('0')) {
-                                business.countryCode = '+91';
-                                business.phone = business.phone.substring(1).trim();
-                            } else {
-                                business.countryCode = '+91';
-                            }
+                        // Filtered records don't count towards the total and skip the email lookup
+                        if (options.filter && !options.filter(business)) {
+                            await detailsPage.close();
+                            if (options.onFiltered) options.onFiltered(business);
+                            return null;
                         }
 
-                        // Process address parts
-                        const addressParts = business.address.split(',');
-                        if (addressParts.length >= 2) {
-                            business.city = addressParts[addressParts.length - 2].trim();
-                            const statePin = addressParts[addressParts.length - 1].trim();
-                            const pinMatch = statePin.match(/\d{6}/);
-                            business.pincode = pinMatch ? pinMatch[0] : 'N/A';
-                            business.state = pinMatch ? statePin.replace(pinMatch[0], '').trim() : statePin;
+                        if (options.fieldGroups && options.fieldGroups.length > 0) {
+                            Object.assign(business, await extractFieldGroups(detailsPage, options.fieldGroups));
+                        }
+                        if (options.reviews) {
+                            // Handed over separately from the record by the caller
+                            business.reviewList = await scrapeReviews(detailsPage, options.reviews);
                         }
 
                         // Extract email if needed
-                        if (extractEmail && business.website !== 'N/A') {
+                        if (extractEmail && business.website !== 'N/A' &&
+                            (!options.reserveContactLookup || options.reserveContactLookup())) {
                             try {
-                                const worker = getNextWorker();
-                                if (!worker) {
-                                    business.email = 'N/A';
-                                } else {
-                                    const requestId = Date.now() + '-' + Math.random();
-                                    
-                                    const result = await new Promise((resolve) => {
-                                        const timeoutId = setTimeout(() => {
-                                            try {
-                                                worker.removeListener('message', messageHandler);
-                                            } catch (err) {}
-                                            resolve({ error: false, email: 'N/A' });
-                                        }, 15000);
-
-                                        const messageHandler = (data) => {
-                                            if (data.requestId === requestId) {
-                                                clearTimeout(timeoutId);
-                                                try {
-                                                    worker.removeListener('message', messageHandler);
-                                                } catch (err) {}
-                                                resolve(data);
-                                            }
-                                        };
-
-                                        try {
-                                            worker.on('message', messageHandler);
-                                            worker.postMessage({ business, requestId });
-                                        } catch (err) {
-                                            clearTimeout(timeoutId);
-                                            resolve({ error: false, email: 'N/A' });
-                                        }
-                                    });
-
-                                    business.email = result.error ? 'N/A' : (result.email || 'N/A');
-                                }
+                                // Queued until a pooled browser is free
+                                Object.assign(business, await lookupContacts(business.website, signal, options.proxy));
+                                Object.assign(business, await verifyBusinessEmails(business));
                             } catch (error) {
                                 console.error(`Error extracting email for ${business.name}:`, error);
                                 business.email = 'N/A';
@@ -414,9 +219,11 @@ async function scrapeGoogleMaps(query, total = Infinity, onDataScraped, signal,
                         }
 
                         await detailsPage.close();
+                        if (options.postProcess) await options.postProcess(business);
                         return business;
                     } catch (error) {
                         console.error(`Error processing business:`, error.message);
+                        if (isProxyError(error)) reportProxy(proxy, 'failed', error.message);
                         return null;
                     }
                 });
@@ -427,21 +234,33 @@ async function scrapeGoogleMaps(query, total = Infinity, onDataScraped, signal,
             return results;
         }
 
+        // The feed says so once Google has no further listings for the query
+        const isEndOfList = () => page.evaluate(({ selector, text }) => {
+            const feed = document.querySelector(selector);
+            return !!feed && feed.innerText.includes(text);
+        }, { selector: feedSelector, text: searchSelectors.endOfListText }).catch(() => false);
+
         while (!isStopped && scrollAttempts < 500) {
             try {
-                await page.evaluate(() => {
-                    const feed = document.querySelector('div[role="feed"]'); 
+                await page.evaluate((selector) => {
+                    const feed = document.querySelector(selector);
                     if (feed) {
                         feed.scrollTop = feed.scrollHeight;
                     }
-                });
+                }, feedSelector);
                 await page.mouse.wheel(0, 1000);
                 await page.waitForTimeout(2000);
 
-                const listings = await page.$$('a[href*="https://www.google.com/maps/place"]');
+                blockedBy = blockedBy || await detectBlock(page, extraction);
+                if (blockedBy) break;
+
+                const listings = await page.$$(selectorList(searchSelectors.listing, baseUrl));
                 console.log(`Found ${listings.length} total listings (${lastResultsCount} previous)`);
+                const endOfList = await isEndOfList();
+                if (options.onListingsFound) options.onListingsFound(listings.length, endOfList);
 
                 if (listings.length > lastResultsCount) {
+                    log(`Processing ${listings.length - lastResultsCount} new listings`);
                     const newListings = listings.slice(lastResultsCount);
                     const results = await processListingsBatch(newListings);
                     
@@ -453,14 +272,27 @@ async function scrapeGoogleMaps(query, total = Infinity, onDataScraped, signal,
 
                     lastResultsCount = listings.length; 
                     consecutiveNoNewResults = 0;
+
+                    if (scrapedData.length >= total) {
+                        endReason = 'limit_reached';
+                        log(`Reached the requested ${total} results`);
+                        break;
+                    }
+                    if (endOfList) {
+                        log('Reached the end of the results list');
+                        break;
+                    }
+                } else if (endOfList) {
+                    log('Reached the end of the results list');
+                    break;
                 } else {
                     consecutiveNoNewResults++;
                     if (consecutiveNoNewResults >= 4) {
                         // Try clicking "Show more" button
-                        await page.click('button[aria-label="Show more"]').catch(() => {});
+                        await page.click(selectorList(searchSelectors.showMore)).catch(() => {});
                         // Break after 4 attempts with no new results
                         if (consecutiveNoNewResults >= 4) {
-                            console.log('No more results found after 4 attempts');
+                            log('No more results found after 4 attempts');
                             break;
                         }
                     }
@@ -468,42 +300,28 @@ async function scrapeGoogleMaps(query, total = Infinity, onDataScraped, signal,
 
                 scrollAttempts++;
             } catch (error) {
-                if (error.message.includes('Target closed')) break;
+                // The browser is gone, let the caller know this run ended in an error
+                if (error.message.includes('Target closed')) throw error;
                 console.error('Error during scroll:', error.message);
                 scrollAttempts++;
             }
         }
 
-        return scrapedData;
+        if (blockedBy) return blockedResult(blockedBy);
+        if (isStopped) endReason = 'stopped';
+        return { results: scrapedData, endReason };
 
     } catch (error) {
         console.error('Scraping error:', error);
-        return scrapedData;
+        if (isProxyError(error)) reportProxy(proxy, 'failed', error.message);
+        if (options.onLog) options.onLog(`Scraping error: ${error.message}`);
+        return { results: scrapedData, endReason: 'error', error: error.message };
     } finally {
         // Clean up resources
-        cleanupWorkers();
-        if (browser) {
-            await browser.close().catch(() => {});
-        }
+        if (lease) await lease.release();
     }
 }
 
-// Cleanup function to terminate workers
-function cleanupWorkers() {
-    workers.forEach(worker => {
-        try {
-            worker.terminate();
-        } catch (error) {
-            console.error('Error terminating worker:', error);
-        }
-    });
-    workers.length = 0;
-}
-
-// Handle process termination
-process.on('SIGTERM', cleanupWorkers);
-process.on('exit', cleanupWorkers);
-
 module.exports = { scrapeGoogleMaps };
 
 
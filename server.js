@@ -1,128 +1,731 @@
 const express = require('express');
 const cors = require('cors');
-const { scrapeGoogleMaps } = require('./scraper'); 
-const xlsx = require('xlsx');
-const fs = require('fs');
+const http = require('http');
+const {
+    initJobs,
+    createJob,
+    getJob,
+    listJobs,
+    checkJobQuota,
+    cancelJob,
+    resumeJob,
+    isResumable,
+    getJobEvents,
+    jobEvents
+} = require('./jobs');
+const {
+    COLUMNS,
+    REVIEW_COLUMNS,
+    DIFF_COLUMNS,
+    EXPORT_FORMATS,
+    exportData,
+    writeExport,
+    findUnknownColumns
+} = require('./exporters');
+const { queryResults, streamResults, matchesFilters, sortRecords } = require('./results');
+const { getBusiness, listBusinesses } = require('./businesses');
+const { getPoolMetrics } = require('./browserPool');
+const { getLookupMetrics } = require('./contactLookup');
+const { getProxyMetrics } = require('./proxies');
+const { getRateLimitMetrics } = require('./rateLimiter');
+const { JOB_PARSERS, parseSearchJob, parseBatchJob, parseGridJob } = require('./jobOptions');
+const {
+    initSchedules,
+    createSchedule,
+    getSchedule,
+    listSchedules,
+    editSchedule,
+    deleteSchedule,
+    runSchedule
+} = require('./schedules');
+const { getDiff, diffRows } = require('./diff');
+const { parseCron } = require('./cron');
+const { streamReviews } = require('./reviews');
+const { getExtractionConfig } = require('./extractionConfig');
+const { getPipeline } = require('./pipeline');
+const {
+    initWebhooks,
+    parseWebhook,
+    createWebhook,
+    getWebhook,
+    listWebhooks,
+    editWebhook,
+    deleteWebhook,
+    testWebhook,
+    listDeliveries
+} = require('./webhooks');
+const {
+    initUsers,
+    parseUser,
+    createUser,
+    getUser,
+    listUsers,
+    editUser,
+    deleteUser,
+    createApiKey,
+    deleteApiKey,
+    findUserByApiKey,
+    checkPassword,
+    createSession,
+    findUserBySession,
+    endSession,
+    canAccess,
+    publicUser
+} = require('./users');
+const { parseQuotas, getQuotas, getUsage } = require('./usage');
 const path = require('path');
 
-let currentScraping = null; // Track current scraping process 
+const SESSION_COOKIE = 'gmx_session';
+// Other origins allowed to call the API, e.g. a frontend dev server. Same-origin requests,
+// like the bundled frontend's, need none.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+const lastScrapeJobIds = new Map(); // userId -> job started by the bundled frontend through /scrape
 
 const app = express();
-app.use(cors()); 
-app.use(express.json()); 
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true }));
+app.use(express.json({ limit: '50mb' })); 
 app.get("/hello", (req, res) => { res.send("Hello World"); });
 
-// Add stop endpoint
+function readCookie(req, name) {
+    const cookie = (req.get('Cookie') || '').split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+// An API key as `Authorization: Bearer <key>` or X-API-Key, otherwise the session cookie
+function authenticate(req) {
+    const authorization = req.get('Authorization') || '';
+    const apiKey = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : req.get('X-API-Key');
+    if (apiKey) return findUserByApiKey(apiKey);
+    return findUserBySession(readCookie(req, SESSION_COOKIE));
+}
+
+function setSessionCookie(req, res, userId) {
+    const { token, maxAge } = createSession(userId);
+    res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge });
+}
+
+// Sign-in form for the bundled frontend, which has none of its own
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'login.html'));
+});
+
+// Starts a session for the cookie the bundled frontend sends with its requests
+app.post('/auth/login', async (req, res) => {
+    const { username, password } = req.body;
+    try {
+        const user = await checkPassword(username, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        setSessionCookie(req, res, user.id);
+        res.json(publicUser(user));
+    } catch (error) {
+        console.error('Sign-in failed:', error);
+        res.status(500).json({ error: 'Sign-in failed' });
+    }
+});
+
+// Everything below needs a signed-in user or an API key
+app.use((req, res, next) => {
+    const user = authenticate(req);
+    if (user) {
+        req.user = user;
+        return next();
+    }
+    // Pages of the bundled frontend send the browser to the sign-in form instead
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+        return res.redirect('/login');
+    }
+    res.status(401).json({ error: 'Authentication required' });
+});
+
+function requireAdmin(req, res, next) {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+// Jobs, schedules and webhooks created by a request belong to its user and their team
+function ownerOf(req) {
+    return { userId: req.user.id, team: req.user.team };
+}
+
+// Admins see every team's jobs, schedules and webhooks, other users only their own team's
+function teamFilter(req) {
+    return req.user.role === 'admin' ? undefined : req.user.team;
+}
+
+// The job of the route's :id when the user may see it, otherwise responds with a 404
+function findJob(req, res) {
+    const job = getJob(req.params.id);
+    if (!job || !canAccess(req.user, job)) {
+        res.status(404).json({ error: 'Job not found' });
+        return null;
+    }
+    return job;
+}
+
+function findSchedule(req, res) {
+    const schedule = getSchedule(req.params.id);
+    if (!schedule || !canAccess(req.user, schedule)) {
+        res.status(404).json({ error: 'Schedule not found' });
+        return null;
+    }
+    return schedule;
+}
+
+function findWebhook(req, res) {
+    const webhook = getWebhook(req.params.id);
+    if (!webhook || !canAccess(req.user, webhook)) {
+        res.status(404).json({ error: 'Webhook not found' });
+        return null;
+    }
+    return webhook;
+}
+
+app.post('/auth/logout', (req, res) => {
+    endSession(readCookie(req, SESSION_COOKIE));
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ message: 'Signed out' });
+});
+
+// The signed-in user with their quotas and today's usage
+app.get('/auth/me', (req, res) => {
+    res.json({ ...publicUser(req.user), quotas: getQuotas(req.user.id), usage: getUsage(req.user.id)[0] });
+});
+
+// Other sessions of the user end, this one gets a new cookie
+app.post('/auth/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const { user: changes, error } = parseUser({ password: newPassword }, { partial: true });
+    try {
+        if (!(await checkPassword(req.user.username, currentPassword))) {
+            return res.status(403).json({ error: 'Current password is wrong' });
+        }
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        await editUser(req.user.id, changes);
+        setSessionCookie(req, res, req.user.id);
+        res.json({ message: 'Password changed' });
+    } catch (passwordError) {
+        console.error('Password change failed:', passwordError);
+        res.status(500).json({ error: 'Password change failed', details: passwordError.message });
+    }
+});
+
+app.get('/auth/keys', (req, res) => {
+    res.json(publicUser(req.user).apiKeys);
+});
+
+// The key itself is only in this response
+app.post('/auth/keys', (req, res) => {
+    res.status(201).json(createApiKey(req.user.id, req.body.name));
+});
+
+app.delete('/auth/keys/:id', (req, res) => {
+    const key = deleteApiKey(req.user.id, req.params.id);
+    if (!key) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(key);
+});
+
+// Queue a job for the user, with a webhook for just this job when the body has
+// webhook: { url, secret, events, batchSize }. The response includes the webhook and its secret.
+function queueJob(req, res, params, type) {
+    const hook = req.body.webhook === undefined ? {} : parseWebhook(req.body.webhook);
+    if (hook.error) {
+        return res.status(400).json({ error: hook.error });
+    }
+    const quotaError = checkJobQuota(req.user.id);
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError });
+    }
+
+    const job = createJob(params, type, ownerOf(req));
+    const webhook = hook.webhook ? createWebhook({ ...hook.webhook, jobId: job.id }, ownerOf(req)) : undefined;
+    res.status(202).json({ ...job, webhook });
+}
+
+// Queue a new scraping job
+app.post('/jobs', (req, res) => {
+    const { params, error } = parseSearchJob(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    queueJob(req, res, params, 'search');
+});
+
+// Queue a bulk job, every query is searched in every location. Locations can also come from an
+// uploaded CSV/XLSX sent as locationsFile: { name, content } with base64 content.
+app.post('/jobs/batch', (req, res) => {
+    const { params, error, details } = parseBatchJob(req.body);
+    if (error) {
+        return res.status(400).json({ error, details });
+    }
+
+    queueJob(req, res, params, 'batch');
+});
+
+// Queue a grid job that searches an area tile by tile to get past the ~120 listing feed cap.
+// The area is either bounds: { north, south, east, west } or center: { lat, lng } with radiusKm.
+app.post('/jobs/grid', (req, res) => {
+    const { params, error } = parseGridJob(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    queueJob(req, res, params, 'grid');
+});
+
+app.get('/jobs', (req, res) => {
+    res.json(listJobs({ status: req.query.status, team: teamFilter(req) }));
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (job) res.json(job);
+});
+
+// Server-Sent Events stream of a job, replays what a reconnecting client missed via Last-Event-ID
+app.get('/jobs/:id/events', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    let lastSentId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    const sendEvent = (event) => {
+        if (event.id <= lastSentId || res.writableEnded) return;
+        lastSentId = event.id;
+        const terminal = event.type === 'complete' || event.type === 'error';
+        // A resumed job's log still holds how its earlier runs ended, which isn't the end of this one
+        if (terminal && (event.run || 0) !== (job.resumeCount || 0)) return;
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (terminal) {
+            res.end();
+        }
+    };
+
+    // Subscribe before replaying so nothing emitted in between is lost
+    jobEvents.on(job.id, sendEvent);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        jobEvents.removeListener(job.id, sendEvent);
+    });
+
+    getJobEvents(job.id, lastSentId).forEach(sendEvent);
+    if (!['queued', 'running'].includes(job.status) && !res.writableEnded) {
+        res.end();
+    }
+});
+
+// Stored results of a job, paginated and filtered by city, pincode, category, rating, email, phone,
+// lead score and tags, and sorted with e.g. ?sort=-score,name
+app.get('/jobs/:id/results', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.json(queryResults(job.id, req.query));
+});
+
+// Stream a job's stored results as a file, accepts the same filters and sort as /jobs/:id/results
+app.get('/jobs/:id/export', async (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const { format = 'xlsx', columns, includeReviews, ...filters } = req.query;
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
+    const unknownColumns = findUnknownColumns(columns);
+    if (unknownColumns.length > 0) {
+        return res.status(400).json({ error: `Unknown columns: ${unknownColumns.join(', ')}` });
+    }
+
+    try {
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.attachment(`google_maps_${job.id}.${EXPORT_FORMATS[format].extension}`);
+        await writeExport(streamResults(job.id, filters), {
+            format,
+            columns,
+            reviews: includeReviews === 'true' ? streamReviews(job.id) : null
+        }, res);
+    } catch (error) {
+        console.error('Export failed:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Export failed', details: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// Reviews collected by a job, optionally for a single business
+app.get('/jobs/:id/reviews', async (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    try {
+        const reviews = [];
+        for await (const review of streamReviews(job.id, { businessId: req.query.businessId })) {
+            reviews.push(review);
+        }
+        res.json(reviews);
+    } catch (error) {
+        console.error('Reading reviews failed:', error);
+        res.status(500).json({ error: 'Reading reviews failed', details: error.message });
+    }
+});
+
+// Stream a job's reviews as a file of their own
+app.get('/jobs/:id/reviews/export', async (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const { format = 'xlsx', columns, businessId } = req.query;
+    if (!EXPORT_FORMATS[format] || format === 'vcf') {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
+    const unknownColumns = findUnknownColumns(columns, REVIEW_COLUMNS);
+    if (unknownColumns.length > 0) {
+        return res.status(400).json({ error: `Unknown columns: ${unknownColumns.join(', ')}` });
+    }
+
+    try {
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.attachment(`google_maps_reviews_${job.id}.${EXPORT_FORMATS[format].extension}`);
+        await writeExport(streamReviews(job.id, { businessId }), { format, columns, columnSet: REVIEW_COLUMNS }, res);
+    } catch (error) {
+        console.error('Export failed:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Export failed', details: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// Cancel a queued or running job
+app.delete('/jobs/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (job) res.json(cancelJob(job.id));
+});
+
+// Continue an interrupted, cancelled or failed job from its checkpoint
+app.post('/jobs/:id/resume', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    if (!isResumable(job)) {
+        return res.status(409).json({ error: `Job is ${job.status} and cannot be resumed` });
+    }
+    // Counted against the owner's quota, who may not be the user resuming it
+    const quotaError = checkJobQuota(job.userId);
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError });
+    }
+    res.status(202).json(resumeJob(job.id));
+});
+
+// Ids of the jobs the user may see, null for admins who see all of them
+function visibleJobIds(req) {
+    const team = teamFilter(req);
+    return team ? new Set(listJobs({ team }).map(job => job.id)) : null;
+}
+
+// Only the user's own jobs are listed on a business
+function scopeBusiness(business, jobIds) {
+    return jobIds ? { ...business, jobIds: business.jobIds.filter(id => jobIds.has(id)) } : business;
+}
+
+// Master table of businesses seen across all jobs, for other users than admins the ones
+// their team's jobs found
+app.get('/businesses', (req, res) => {
+    const jobIds = visibleJobIds(req);
+    const list = listBusinesses({ ...req.query, jobIds });
+    res.json({ ...list, results: list.results.map(business => scopeBusiness(business, jobIds)) });
+});
+
+app.get('/businesses/:id', (req, res) => {
+    const jobIds = visibleJobIds(req);
+    const business = getBusiness(req.params.id);
+    if (!business || (jobIds && !business.jobIds.some(id => jobIds.has(id)))) {
+        return res.status(404).json({ error: 'Business not found' });
+    }
+    res.json(scopeBusiness(business, jobIds));
+});
+
+// Recurring jobs. The body is a cron expression plus the body of /jobs, /jobs/batch or
+// /jobs/grid, picked by `type`: { name, cron, type: 'search', query, location, ... }
+app.post('/schedules', (req, res) => {
+    const { name, cron, type = 'search', enabled } = req.body;
+    const { error: cronError } = parseCron(cron);
+    if (cronError) {
+        return res.status(400).json({ error: cronError });
+    }
+    if (!JOB_PARSERS[type]) {
+        return res.status(400).json({ error: `type must be one of ${Object.keys(JOB_PARSERS).join(', ')}` });
+    }
+    const { params, error, details } = JOB_PARSERS[type](req.body);
+    if (error) {
+        return res.status(400).json({ error, details });
+    }
+    // Runs are compared with each other, places skipped as already known would show up as removed
+    if (params.skipKnown) {
+        return res.status(400).json({ error: 'skipKnown cannot be used on a schedule, every run has to see every place' });
+    }
+
+    res.status(201).json(createSchedule({ name, cron, type, params, enabled }, ownerOf(req)));
+});
+
+app.get('/schedules', (req, res) => {
+    res.json(listSchedules({ team: teamFilter(req) }));
+});
+
+app.get('/schedules/:id', (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (schedule) res.json(schedule);
+});
+
+// Rename, pause/resume with `enabled` or change the cron expression
+app.patch('/schedules/:id', (req, res) => {
+    if (req.body.cron !== undefined) {
+        const { error } = parseCron(req.body.cron);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+    }
+    if (findSchedule(req, res)) res.json(editSchedule(req.params.id, req.body));
+});
+
+app.delete('/schedules/:id', (req, res) => {
+    if (findSchedule(req, res)) res.json(deleteSchedule(req.params.id));
+});
+
+// Start a run now, outside the cron schedule
+app.post('/schedules/:id/run', (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (!schedule) return;
+    const { job, error, jobId } = runSchedule(schedule);
+    if (error) {
+        return res.status(409).json({ error, jobId });
+    }
+    res.status(202).json(job);
+});
+
+// Diff of a run against the schedule's previous completed run, `latest` for the newest one
+function findScheduleDiff(req, res) {
+    const schedule = findSchedule(req, res);
+    if (!schedule) return null;
+    const runs = schedule.runs.filter(run => run.diff);
+    const run = req.params.jobId === 'latest'
+        ? runs[runs.length - 1]
+        : runs.find(item => item.jobId === req.params.jobId);
+    const diff = run && getDiff(run.jobId);
+    if (!diff) {
+        res.status(404).json({ error: 'Diff not found' });
+        return null;
+    }
+    return diff;
+}
+
+app.get('/schedules/:id/diffs', (req, res) => {
+    const schedule = findSchedule(req, res);
+    if (schedule) res.json(schedule.runs.filter(run => run.diff));
+});
+
+app.get('/schedules/:id/diffs/:jobId', (req, res) => {
+    const diff = findScheduleDiff(req, res);
+    if (diff) res.json(diff);
+});
+
+app.get('/schedules/:id/diffs/:jobId/export', async (req, res) => {
+    const { format = 'xlsx', columns } = req.query;
+    if (!EXPORT_FORMATS[format] || format === 'vcf') {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
+    const unknownColumns = findUnknownColumns(columns, DIFF_COLUMNS);
+    if (unknownColumns.length > 0) {
+        return res.status(400).json({ error: `Unknown columns: ${unknownColumns.join(', ')}` });
+    }
+    const diff = findScheduleDiff(req, res);
+    if (!diff) return;
+
+    try {
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.attachment(`google_maps_changes_${diff.jobId}.${EXPORT_FORMATS[format].extension}`);
+        await writeExport(diffRows(diff), { format, columns, columnSet: DIFF_COLUMNS }, res);
+    } catch (error) {
+        console.error('Export failed:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Export failed', details: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// Webhooks that receive scraped records in batches and a request when a job finishes,
+// for every job of the user's team or, with jobId, a single one. See webhooks.js for the
+// payload signature.
+app.post('/webhooks', (req, res) => {
+    const { jobId } = req.body;
+    const job = jobId ? getJob(jobId) : null;
+    if (jobId && (!job || !canAccess(req.user, job))) {
+        return res.status(400).json({ error: 'Job not found' });
+    }
+    const { webhook, error } = parseWebhook(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.status(201).json(createWebhook({ ...webhook, jobId }, ownerOf(req)));
+});
+
+app.get('/webhooks', (req, res) => {
+    res.json(listWebhooks({ jobId: req.query.jobId, team: teamFilter(req) }));
+});
+
+app.get('/webhooks/:id', (req, res) => {
+    const webhook = findWebhook(req, res);
+    if (webhook) res.json(webhook);
+});
+
+// Change the url, events, batchSize or secret, or pause it with enabled: false
+app.patch('/webhooks/:id', (req, res) => {
+    const current = findWebhook(req, res);
+    if (!current) return;
+    const { webhook, error } = parseWebhook({ ...current, ...req.body });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.json(editWebhook(req.params.id, webhook));
+});
+
+app.delete('/webhooks/:id', (req, res) => {
+    if (findWebhook(req, res)) res.json(deleteWebhook(req.params.id));
+});
+
+// Send a ping and respond with how its delivery went
+app.post('/webhooks/:id/test', async (req, res) => {
+    if (!findWebhook(req, res)) return;
+    try {
+        res.json(await testWebhook(req.params.id));
+    } catch (error) {
+        console.error('Webhook test failed:', error);
+        res.status(500).json({ error: 'Webhook test failed', details: error.message });
+    }
+});
+
+// Delivery log, newest first. Filter with ?jobId= and ?status=delivered|failed|cancelled
+app.get('/webhooks/:id/deliveries', (req, res) => {
+    if (!findWebhook(req, res)) return;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    res.json(listDeliveries(req.params.id, { jobId: req.query.jobId, status: req.query.status, limit }));
+});
+
+// Add stop endpoint, stops the user's last /scrape job unless the body names another one
 app.post('/stop-scrape', (req, res) => {
-    if (currentScraping) {
-        currentScraping.abort();
-        currentScraping = null;
-        res.json({ message: 'Scraping stopped' });
+    const jobId = (req.body && req.body.jobId) || lastScrapeJobIds.get(req.user.id);
+    const job = jobId ? getJob(jobId) : null;
+
+    if (job && canAccess(req.user, job) && ['queued', 'running'].includes(job.status)) {
+        cancelJob(job.id);
+        res.json({ message: 'Scraping stopped', jobId: job.id });
     } else {
         res.json({ message: 'No active scraping to stop' });    
     }
 });
 
-// Endpoint for scraping data
-app.post('/scrape', async (req, res) => {
-    const { query, location, isPincode, total, extractEmail } = req.body;
-    
+// Endpoint for scraping data, streams the job's results as newline-delimited JSON
+app.post('/scrape', (req, res) => {
+    const { params, error } = parseSearchJob(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const quotaError = checkJobQuota(req.user.id);
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError });
+    }
+
     // Remove gzip compression as it can interfere with streaming
     // res.setHeader('Content-Encoding', 'gzip');
-    
-    currentScraping = new AbortController();
-    let dataCount = 0;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Transfer-Encoding', 'chunked');
 
-    try {
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Transfer-Encoding', 'chunked');
-        
-        const searchQuery = isPincode 
-            ? `${query} ${location}`
-            : `${query} ${location}`;
-
-        await scrapeGoogleMaps(
-            searchQuery,
-            total,
-            (data) => {
-                if (isPincode && data.pincode !== location.trim()) {
-                    return;
-                }
-
-                dataCount++;
-                const progress = Math.min((dataCount / total) * 100, 100);
-                
-                // Send data immediately without buffering
-                if (!res.writableEnded) {
-                    res.write(JSON.stringify({ 
-                        type: 'update', 
-                        data: data,
-                        progress: progress
-                    }) + '\n');
-                }
-            },
-            currentScraping.signal,
-            extractEmail
-        );
-        
-        if (!res.writableEnded) {
+    const job = createJob(params, 'search', ownerOf(req));
+    lastScrapeJobIds.set(req.user.id, job.id);
+    res.write(JSON.stringify({ type: 'job', jobId: job.id }) + '\n');
+
+    const onEvent = (event) => {
+        if (res.writableEnded) return;
+
+        if (event.type === 'update') {
+            // Send data immediately without buffering
+            res.write(JSON.stringify({ 
+                type: 'update', 
+                data: event.data,
+                progress: event.progress
+            }) + '\n');
+        } else if (event.type === 'selector_degraded') {
+            res.write(JSON.stringify({
+                type: 'selector_degraded',
+                field: event.field,
+                fillRate: event.fillRate,
+                minFillRate: event.minFillRate
+            }) + '\n');
+        } else if (event.type === 'complete') {
             res.write(JSON.stringify({ 
                 type: 'complete', 
-                totalResults: dataCount 
+                totalResults: event.totalResults,
+                endReason: event.endReason
             }));
             res.end();
-        }
-    } catch (error) {
-        cleanupWorkers();
-        currentScraping = null;
-        if (!res.headersSent) {
-            console.error('Scraping failed:', error);
-            res.status(500).json({ 
+        } else if (event.type === 'error') {
+            res.write(JSON.stringify({ 
+                type: 'error', 
                 error: 'Scraping failed', 
-                details: error.message 
-            });
+                details: event.error 
+            }));
+            res.end();
         }
-    }
+    };
+
+    jobEvents.on(job.id, onEvent);
+    res.on('close', () => jobEvents.removeListener(job.id, onEvent));
 });
 
-// New endpoint for downloading Excel
+// Endpoint for downloading results as xlsx, xlsx-summary, csv, json, ndjson or vcf. Optional
+// `filters` and `sort` work like the query string of /jobs/:id/results.
 app.post('/download', async (req, res) => {
-    const { data } = req.body;
+    const { data, format = 'xlsx', columns, filters = {}, sort } = req.body;
+    if (!Array.isArray(data)) {
+        return res.status(400).json({ error: 'data must be an array of results' });
+    }
+    if (!filters || typeof filters !== 'object') {
+        return res.status(400).json({ error: 'filters must be an object' });
+    }
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
+    const unknownColumns = findUnknownColumns(columns);
+    if (unknownColumns.length > 0) {
+        return res.status(400).json({ error: `Unknown columns: ${unknownColumns.join(', ')}` });
+    }
+
     try {
-        // Format data to ensure all fields are included
-        const formattedData = data.map(item => ({
-            Title: item.name,
-            Category: item.category,
-            Rating: item.rating,
-            Reviews: item.reviews,
-            'Country Code': item.countryCode || '+91',
-            Phone: item.phone,
-            Address: item.address,
-            Website: item.website,
-            Pincode: item.pincode || 'N/A',
-            City: item.city || 'N/A',
-            State: item.state || 'N/A',
-            Email: item.email || 'N/A'
-        }));
-
-        // Generate Excel file from formatted data
-        const workbook = xlsx.utils.book_new();
-        const worksheet = xlsx.utils.json_to_sheet(formattedData);
-        xlsx.utils.book_append_sheet(workbook, worksheet, 'Results');
-
-        // Save Excel file temporarily
-        const filePath = path.join(__dirname, 'output.xlsx');
-        xlsx.writeFile(workbook, filePath);
-
-        // Send file as response
-        res.download(filePath, 'google_maps_data.xlsx', (err) => {
-            if (err) {
-                console.error('Error sending file:', err);
-                res.status(500).json({ error: 'Could not send file' });
-            }
-            // Clean up
-            fs.unlinkSync(filePath);
-        });
+        const selected = sortRecords(data.filter(item => matchesFilters(item, filters)), sort);
+        const { body, contentType, filename } = exportData(selected, { format, columns });
+        res.setHeader('Content-Type', contentType);
+        res.attachment(filename);
+        res.send(body);
     } catch (error) {
         console.error('Download failed:', error);
         res.status(500).json({ 
@@ -132,8 +735,162 @@ app.post('/download', async (req, res) => {
     }
 });
 
+// List the columns that can be picked for an export
+app.get('/export-columns', (req, res) => {
+    res.json(COLUMNS.map(({ key, header }) => ({ key, header })));
+});
+
+// Selectors scrapes use, with the version jobs record as selectorVersion
+app.get('/selectors', (req, res) => {
+    res.json(getExtractionConfig());
+});
+
+// Lead processors jobs run by default, and every built-in or plugin processor a job can pick
+app.get('/processors', (req, res) => {
+    res.json(getPipeline());
+});
+
+// Browser pool, contact lookup queue, proxy health and rate limit usage
+app.get('/metrics', (req, res) => {
+    res.json({
+        browserPool: getPoolMetrics(),
+        contactLookups: getLookupMetrics(),
+        proxies: getProxyMetrics(),
+        rateLimit: getRateLimitMetrics()
+    });
+});
+
+// A user with their quotas, today's usage and how many of their jobs are queued or running
+function userSummary(user) {
+    return {
+        ...publicUser(user),
+        quotas: getQuotas(user.id),
+        usage: getUsage(user.id)[0],
+        activeJobs: listJobs().filter(job => job.userId === user.id && ['queued', 'running'].includes(job.status)).length
+    };
+}
+
+// The user of the route's :id, otherwise responds with a 404
+function findUser(req, res) {
+    const user = getUser(req.params.id);
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    return user;
+}
+
+app.get('/admin/users', requireAdmin, (req, res) => {
+    res.json(listUsers().map(userSummary));
+});
+
+// { username, password, role, team, quotas: { concurrentJobs, resultsPerDay, emailLookupsPerDay } }
+app.post('/admin/users', requireAdmin, async (req, res) => {
+    const { user: fields, error } = parseUser(req.body);
+    const { quotas, error: quotaError } = parseQuotas(req.body.quotas);
+    if (error || quotaError) {
+        return res.status(400).json({ error: error || quotaError });
+    }
+    try {
+        const { user, error: createError } = await createUser({ ...fields, quotas });
+        if (createError) {
+            return res.status(409).json({ error: createError });
+        }
+        res.status(201).json(userSummary(user));
+    } catch (error) {
+        console.error('Creating a user failed:', error);
+        res.status(500).json({ error: 'Creating the user failed', details: error.message });
+    }
+});
+
+app.get('/admin/users/:id', requireAdmin, (req, res) => {
+    const user = findUser(req, res);
+    if (user) res.json(userSummary(user));
+});
+
+// Change any of the fields of POST /admin/users, disable a user with disabled: true.
+// A quota set to null goes back to the default.
+app.patch('/admin/users/:id', requireAdmin, async (req, res) => {
+    const current = findUser(req, res);
+    if (!current) return;
+    const { user: changes, error } = parseUser(req.body, { partial: true });
+    const { quotas, error: quotaError } = parseQuotas(req.body.quotas);
+    if (error || quotaError) {
+        return res.status(400).json({ error: error || quotaError });
+    }
+    if (current.id === req.user.id && (changes.disabled || (changes.role && changes.role !== 'admin'))) {
+        return res.status(400).json({ error: 'You cannot disable your own account or remove your own admin role' });
+    }
+    try {
+        const { user, error: editError } = await editUser(current.id, { ...changes, quotas });
+        if (editError) {
+            return res.status(409).json({ error: editError });
+        }
+        res.json(userSummary(user));
+    } catch (error) {
+        console.error('Editing a user failed:', error);
+        res.status(500).json({ error: 'Editing the user failed', details: error.message });
+    }
+});
+
+// Their jobs, schedules and webhooks stay with their team
+app.delete('/admin/users/:id', requireAdmin, (req, res) => {
+    const current = findUser(req, res);
+    if (!current) return;
+    if (current.id === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    res.json(publicUser(deleteUser(current.id)));
+});
+
+app.post('/admin/users/:id/keys', requireAdmin, (req, res) => {
+    const user = findUser(req, res);
+    if (user) res.status(201).json(createApiKey(user.id, req.body.name));
+});
+
+app.delete('/admin/users/:id/keys/:keyId', requireAdmin, (req, res) => {
+    const user = findUser(req, res);
+    if (!user) return;
+    const key = deleteApiKey(user.id, req.params.keyId);
+    if (!key) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(key);
+});
+
+// Daily jobs, results and email lookups per user for the last ?days= days (default 7)
+app.get('/admin/usage', requireAdmin, (req, res) => {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+    res.json(listUsers().map(user => ({
+        userId: user.id,
+        username: user.username,
+        team: user.team,
+        quotas: getQuotas(user.id),
+        days: getUsage(user.id, days)
+    })));
+});
+
 app.use(express.static(path.join(__dirname, 'dist'))); 
 app.get('*', (req, res) => { res.sendFile(path.join(__dirname, 'dist', 'index.html')); });
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));  
\ No newline at end of file
+// Load stored state and listen once the users are loaded, tests call this with port 0 for a
+// free port
+function startServer(port = process.env.PORT || 5000) {
+    initWebhooks();
+    initJobs();
+    initSchedules();
+    const server = http.createServer(app);
+    initUsers()
+        .then(() => server.listen(port, () => console.log(`Server running on port ${server.address().port}`)))
+        .catch((error) => {
+            console.error('Could not load users:', error);
+            process.exitCode = 1;
+        });
+    return server;
+}
+
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, startServer };
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const path = require('path');
+
+// All local state (jobs, checkpoints, results) lives under this directory
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+function dataPath(...parts) {
+    return path.join(DATA_DIR, ...parts);
+}
+
+function ensureDir(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+function readJson(filePath, fallback = null) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading ${filePath}:`, error.message);
+        }
+        return fallback;
+    }
+}
+
+// Write to a temp file first so a crash never leaves half-written JSON behind
+function writeJson(filePath, value) {
+    ensureDir(path.dirname(filePath));
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+function listJson(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => readJson(path.join(dir, file)))
+        .filter(Boolean);
+}
+
+module.exports = { DATA_DIR, dataPath, ensureDir, readJson, writeJson, listJson };
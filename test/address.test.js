@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAddress, normalizePostalCode } = require('../address');
+
+describe('parseAddress', () => {
+    it('splits Indian addresses into street, locality, city, state and PIN code', () => {
+        assert.deepEqual(parseAddress('12, MG Road, Ashok Nagar, Bengaluru, Karnataka 560001, India', 'IN'), {
+            street: '12, MG Road',
+            locality: 'Ashok Nagar',
+            city: 'Bengaluru',
+            state: 'Karnataka',
+            pincode: '560001',
+            country: 'IN'
+        });
+    });
+
+    it('uses the rules of the country the address ends with', () => {
+        assert.deepEqual(parseAddress('350 5th Ave, New York, NY 10118, United States', 'IN'), {
+            street: '350 5th Ave',
+            locality: 'N/A',
+            city: 'New York',
+            state: 'NY',
+            pincode: '10118',
+            country: 'US'
+        });
+        assert.equal(parseAddress('221B Baker St, London NW1 6XE, United Kingdom').pincode, 'NW1 6XE');
+        assert.equal(parseAddress('Shop 5, 12 George St, Sydney NSW 2000, Australia').state, 'NSW');
+    });
+
+    it('falls back to the region for addresses without a country', () => {
+        const address = parseAddress('88 Brigade Road, Bengaluru, Karnataka 560025', 'IN');
+        assert.equal(address.country, 'IN');
+        assert.equal(address.pincode, '560025');
+    });
+
+    it('returns N/A for every part of a missing address', () => {
+        assert.ok(Object.values(parseAddress('N/A', 'IN')).every(value => value === 'N/A'));
+    });
+});
+
+describe('normalizePostalCode', () => {
+    it('compares postal codes however they were typed', () => {
+        assert.equal(normalizePostalCode(' 560 001', 'IN'), '560001');
+        assert.equal(normalizePostalCode('nw16xe', 'GB'), 'NW1 6XE');
+        assert.equal(normalizePostalCode('10118-1234', 'US'), '10118');
+    });
+});
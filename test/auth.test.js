@@ -0,0 +1,207 @@
+const { SKIP_WITHOUT_BROWSER, useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const fs = require('fs');
+const { once } = require('events');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer } = require('./fixtureServer');
+
+describe('authentication', () => {
+    let maps;
+    let server;
+    let baseUrl;
+    let closePool;
+    let admin;
+    const keys = {};
+
+    // `auth` is an API key, a session cookie or nothing
+    function request(method, route, body, auth) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (auth && auth.includes('=')) headers.Cookie = auth;
+        else if (auth) headers.Authorization = `Bearer ${auth}`;
+        return fetch(`${baseUrl}${route}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body),
+            redirect: 'manual'
+        });
+    }
+
+    async function signIn(username, password) {
+        const response = await request('POST', '/auth/login', { username, password });
+        assert.equal(response.status, 200);
+        return response.headers.get('set-cookie').split(';')[0];
+    }
+
+    async function createUser(fields) {
+        const response = await request('POST', '/admin/users', { password: 'correct horse', ...fields }, admin);
+        assert.equal(response.status, 201);
+        const user = await response.json();
+        keys[fields.username] = (await (await request('POST', `/admin/users/${user.id}/keys`, { name: 'test' }, admin)).json()).key;
+        return user;
+    }
+
+    async function waitForJob(jobId, auth) {
+        const deadline = Date.now() + 60000;
+        while (Date.now() < deadline) {
+            const job = await (await request('GET', `/jobs/${jobId}`, undefined, auth)).json();
+            if (!['queued', 'running'].includes(job.status)) return job;
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        throw new Error(`Job ${jobId} did not finish`);
+    }
+
+    before(async () => {
+        maps = await startFixtureServer();
+        // Read when the scraper modules load, so they are only required now
+        process.env.MAPS_BASE_URL = maps.baseUrl;
+        process.env.ADMIN_USERNAME = 'root';
+        process.env.ADMIN_PASSWORD = 'admin-password';
+        const { startServer } = require('../server');
+        ({ closePool } = require('../browserPool'));
+
+        server = startServer(0);
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        admin = await signIn('root', 'admin-password');
+
+        await createUser({ username: 'alice', team: 'acme' });
+        await createUser({ username: 'bob', team: 'acme' });
+        await createUser({ username: 'carol', team: 'globex' });
+        await createUser({ username: 'dave', quotas: { concurrentJobs: 1, resultsPerDay: 2 } });
+    });
+
+    after(async () => {
+        server.close();
+        await closePool();
+        await maps.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('rejects API requests without credentials', async () => {
+        assert.equal((await request('GET', '/jobs')).status, 401);
+        assert.equal((await request('GET', '/jobs', undefined, 'gmx_not-a-key')).status, 401);
+        assert.equal((await request('GET', '/jobs', undefined, 'gmx_session=not-a-session')).status, 401);
+        assert.equal((await request('GET', '/hello')).status, 200);
+    });
+
+    it('sends a browser without a session to the sign-in form', async () => {
+        const page = await fetch(`${baseUrl}/`, { headers: { Accept: 'text/html' }, redirect: 'manual' });
+        assert.equal(page.status, 302);
+        assert.equal(page.headers.get('location'), '/login');
+        assert.equal((await fetch(`${baseUrl}/login`)).status, 200);
+    });
+
+    it('signs in with a password and out again', async () => {
+        const wrong = await request('POST', '/auth/login', { username: 'alice', password: 'wrong horse' });
+        assert.equal(wrong.status, 401);
+
+        const response = await request('POST', '/auth/login', { username: 'alice', password: 'correct horse' });
+        assert.match(response.headers.get('set-cookie'), /HttpOnly/);
+        const cookie = response.headers.get('set-cookie').split(';')[0];
+
+        const me = await (await request('GET', '/auth/me', undefined, cookie)).json();
+        assert.equal(me.username, 'alice');
+        assert.equal(me.team, 'acme');
+        assert.equal(me.passwordHash, undefined);
+        assert.deepEqual(me.quotas, { concurrentJobs: 2, resultsPerDay: 5000, emailLookupsPerDay: 1000 });
+
+        await request('POST', '/auth/logout', {}, cookie);
+        assert.equal((await request('GET', '/auth/me', undefined, cookie)).status, 401);
+    });
+
+    it('lets only admins manage users', async () => {
+        assert.equal((await request('GET', '/admin/users', undefined, keys.alice)).status, 403);
+        assert.equal((await request('POST', '/admin/users', { username: 'mallory', password: 'correct horse' }, keys.alice)).status, 403);
+
+        const users = await (await request('GET', '/admin/users', undefined, admin)).json();
+        assert.deepEqual(users.map(user => user.username), ['root', 'alice', 'bob', 'carol', 'dave']);
+
+        const duplicate = await request('POST', '/admin/users', { username: 'alice', password: 'correct horse' }, admin);
+        assert.equal(duplicate.status, 409);
+        const badQuota = await request('POST', '/admin/users', { username: 'erin', password: 'correct horse', quotas: { resultsPerDay: -1 } }, admin);
+        assert.equal(badQuota.status, 400);
+    });
+
+    it('disables a user and their keys', async () => {
+        const erin = await createUser({ username: 'erin' });
+        assert.equal((await request('GET', '/auth/me', undefined, keys.erin)).status, 200);
+
+        const disabled = await request('PATCH', `/admin/users/${erin.id}`, { disabled: true }, admin);
+        assert.equal((await disabled.json()).disabled, true);
+        assert.equal((await request('GET', '/auth/me', undefined, keys.erin)).status, 401);
+        assert.equal((await request('POST', '/auth/login', { username: 'erin', password: 'correct horse' })).status, 401);
+    });
+
+    it('lets users manage their own API keys', async () => {
+        const created = await request('POST', '/auth/keys', { name: 'laptop' }, keys.bob);
+        assert.equal(created.status, 201);
+        const { id, key } = await created.json();
+        assert.equal((await request('GET', '/auth/me', undefined, key)).status, 200);
+
+        const list = await (await request('GET', '/auth/keys', undefined, key)).json();
+        assert.deepEqual(list.map(item => item.name), ['test', 'laptop']);
+        assert.equal(JSON.stringify(list).includes(key), false);
+
+        await request('DELETE', `/auth/keys/${id}`, undefined, keys.bob);
+        assert.equal((await request('GET', '/auth/me', undefined, key)).status, 401);
+    });
+
+    it('shares jobs within a team and hides them from other teams', async () => {
+        const created = await request('POST', '/jobs', { query: 'cafes', total: 1 }, keys.alice);
+        assert.equal(created.status, 202);
+        const job = await created.json();
+        assert.equal(job.team, 'acme');
+
+        assert.equal((await request('GET', `/jobs/${job.id}`, undefined, keys.bob)).status, 200);
+        assert.equal((await request('GET', `/jobs/${job.id}`, undefined, admin)).status, 200);
+        assert.equal((await request('GET', `/jobs/${job.id}`, undefined, keys.carol)).status, 404);
+        assert.equal((await request('GET', `/jobs/${job.id}/results`, undefined, keys.carol)).status, 404);
+        assert.equal((await request('DELETE', `/jobs/${job.id}`, undefined, keys.carol)).status, 404);
+        const stop = await (await request('POST', '/stop-scrape', { jobId: job.id }, keys.carol)).json();
+        assert.equal(stop.message, 'No active scraping to stop');
+        assert.deepEqual(await (await request('GET', '/jobs', undefined, keys.carol)).json(), []);
+        assert.deepEqual((await (await request('GET', '/jobs', undefined, keys.bob)).json()).map(item => item.id), [job.id]);
+
+        const webhook = await request('POST', '/webhooks', { url: 'http://127.0.0.1:9/hook', jobId: job.id }, keys.carol);
+        assert.equal(webhook.status, 400);
+
+        const finished = await waitForJob(job.id, keys.alice);
+        assert.notEqual(finished.status, 'cancelled');
+    });
+
+    it('limits concurrent jobs and daily results', { skip: SKIP_WITHOUT_BROWSER }, async () => {
+        const first = await (await request('POST', '/jobs', { query: 'cafes' }, keys.dave)).json();
+        const second = await request('POST', '/jobs', { query: 'cafes' }, keys.dave);
+        assert.equal(second.status, 429);
+        assert.match((await second.json()).error, /at most 1 jobs/);
+
+        const job = await waitForJob(first.id, keys.dave);
+        assert.equal(job.status, 'quota_exceeded');
+        assert.equal(job.endReason, 'quota_exceeded');
+        assert.ok(job.counts.results >= 2);
+
+        const third = await request('POST', '/scrape', { query: 'cafes' }, keys.dave);
+        assert.equal(third.status, 429);
+        assert.match((await third.json()).error, /all 2 results for today/);
+        assert.equal((await request('POST', `/jobs/${job.id}/resume`, undefined, keys.dave)).status, 429);
+
+        const usage = await (await request('GET', '/admin/usage?days=2', undefined, admin)).json();
+        const dave = usage.find(user => user.username === 'dave');
+        assert.equal(dave.days.length, 2);
+        assert.equal(dave.days[0].jobs, 1);
+        assert.equal(dave.days[0].results, job.counts.results);
+    });
+
+    it('lists only businesses the team\'s jobs found', { skip: SKIP_WITHOUT_BROWSER }, async () => {
+        const acme = await (await request('GET', '/businesses', undefined, keys.bob)).json();
+        assert.equal(acme.total, 1);
+        assert.equal(acme.results[0].jobIds.length, 1);
+
+        const globex = await (await request('GET', '/businesses', undefined, keys.carol)).json();
+        assert.equal(globex.total, 0);
+        assert.equal((await request('GET', `/businesses/${acme.results[0].id}`, undefined, keys.carol)).status, 404);
+    });
+});
@@ -0,0 +1,45 @@
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const fs = require('fs');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { upsertBusiness, findBusiness, isKnownPlace } = require('../businesses');
+
+const placeUrl = placeId => `https://www.google.com/maps/place/Branch/data=!4m7!3m6!1s${placeId}!8m2!3d12.97!4d77.59`;
+
+describe('business table', () => {
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    it('keeps branches with their own place IDs apart even when they share a website and phone', () => {
+        const shared = { website: 'https://www.chain.example.com/', phone: '1800 123 4567', countryCode: '91' };
+        const first = upsertBusiness({ name: 'Chain MG Road', address: 'MG Road', placeUrl: placeUrl('0x1:0xa'), ...shared }, 'job-1');
+        const second = upsertBusiness({ name: 'Chain Indiranagar', address: '100 Feet Road', placeUrl: placeUrl('0x1:0xb'), ...shared }, 'job-1');
+
+        assert.equal(first.isNew, true);
+        assert.equal(second.isNew, true);
+        assert.notEqual(second.business.id, first.business.id);
+        assert.equal(first.business.name, 'Chain MG Road');
+        assert.equal(isKnownPlace(placeUrl('0x1:0xb')), true);
+    });
+
+    it('matches the same place again by place ID', () => {
+        const again = upsertBusiness({ name: 'Chain MG Road', rating: '4.4', placeUrl: placeUrl('0x1:0xa') }, 'job-2');
+        assert.equal(again.isNew, false);
+        assert.equal(again.business.id, '0x1:0xa');
+        assert.deepEqual(again.business.jobIds, ['job-1', 'job-2']);
+    });
+
+    it('falls back to phone and website when one side has no place ID', () => {
+        const listed = upsertBusiness({ name: 'Corner Bakery', phone: '080 4112 3456', countryCode: '91' }, 'job-1');
+        const found = upsertBusiness({ name: 'Corner Bakery', phone: '+91 80 4112 3456', placeUrl: placeUrl('0x2:0xc') }, 'job-2');
+        assert.equal(found.isNew, false);
+        assert.equal(found.business.id, listed.business.id);
+        assert.equal(found.business.placeId, '0x2:0xc');
+        assert.equal(isKnownPlace(placeUrl('0x2:0xc')), true);
+
+        const withoutPlace = findBusiness({ website: 'chain.example.com' });
+        assert.ok(withoutPlace);
+    });
+});
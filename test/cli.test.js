@@ -0,0 +1,50 @@
+const { SKIP_WITHOUT_BROWSER, useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer } = require('./fixtureServer');
+
+describe('gmaps-extract', () => {
+    let maps;
+
+    // Resolves with the exit code and what the CLI wrote to stdout and stderr
+    function run(args) {
+        return new Promise(resolve => {
+            execFile(process.execPath, [path.join(__dirname, '..', 'cli.js'), ...args], {
+                env: { ...process.env, MAPS_BASE_URL: maps.baseUrl, DATA_DIR: dataDir },
+                timeout: 60000
+            }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+        });
+    }
+
+    before(async () => {
+        maps = await startFixtureServer();
+    });
+
+    after(async () => {
+        await maps.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('writes only the export to stdout and its progress to stderr', { skip: SKIP_WITHOUT_BROWSER }, async () => {
+        const { code, stdout, stderr } = await run(['search', 'cafes', '--limit', '2', '--format', 'json', '--columns', 'name']);
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout), [{ Title: 'Cafe Alpha' }, { Title: 'Bravo Dental Clinic' }]);
+        assert.match(stderr, /Scraped \(2\)/);
+    });
+
+    it('rejects options it would otherwise ignore', async () => {
+        const { code, stderr } = await run(['search', 'cafes', '--limit', 'many']);
+        assert.equal(code, 2);
+        assert.match(stderr, /--limit must be a positive number/);
+
+        const reviews = await run(['search', 'cafes', '--reviews', '5', '--out', path.join(dataDir, 'leads.csv')]);
+        assert.equal(reviews.code, 2);
+        assert.match(reviews.stderr, /--reviews needs an xlsx export, csv cannot hold reviews/);
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findEmails, deobfuscate, decodeCloudflareEmail, classifySocialLink, rankLinks } = require('../contactCrawler');
+
+// How Cloudflare's email protection writes data-cfemail
+function encodeCloudflareEmail(email, key = 0x5a) {
+    return [key, ...Buffer.from(email)].map((byte, index) => (index === 0 ? byte : byte ^ key).toString(16).padStart(2, '0')).join('');
+}
+
+describe('findEmails', () => {
+    it('finds plain and obfuscated addresses', () => {
+        assert.deepEqual(findEmails('Write to Hello@Cafe-Alpha.com.'), ['hello@cafe-alpha.com']);
+        assert.deepEqual(findEmails('info [at] shop (dot) com'), ['info@shop.com']);
+        assert.deepEqual(findEmails('bookings(at)dental.co.in'), ['bookings@dental.co.in']);
+        assert.deepEqual(findEmails('orders at bakery dot com'), ['orders@bakery.com']);
+        assert.deepEqual(findEmails('sales&#64;deli&#46;com'), ['sales@deli.com']);
+    });
+
+    it('leaves ordinary sentences alone', () => {
+        const prose = 'Visit us at www.shopname.com for offers. Find us at facebook.com or meet us at 12.30 at Koramangala.';
+        assert.deepEqual(findEmails(prose), []);
+        assert.equal(deobfuscate('Find us at facebook.com'), 'Find us at facebook.com');
+    });
+
+    it('skips placeholders, vendor addresses and image names', () => {
+        assert.deepEqual(findEmails([
+            'you@example.com',
+            'abcdef0123456789abcdef0123@o123.ingest.sentry.io',
+            'support@wix.com',
+            'logo@2x.png',
+            'owner@corner-bakery.in'
+        ].join(' ')), ['owner@corner-bakery.in']);
+    });
+});
+
+describe('decodeCloudflareEmail', () => {
+    it('reverses the XOR encoding', () => {
+        assert.equal(decodeCloudflareEmail(encodeCloudflareEmail('info@shop.com')), 'info@shop.com');
+    });
+});
+
+describe('links', () => {
+    it('ranks contact and imprint pages of the same site first', () => {
+        const links = [
+            { href: 'https://shop.example.com/privacy', text: 'Privacy' },
+            { href: 'https://shop.example.com/about', text: 'Our story' },
+            { href: 'https://shop.example.com/contact#form', text: 'Contact', inFooter: true },
+            { href: 'https://shop.example.com/contact', text: 'Get in touch' },
+            { href: 'https://other.example.com/contact', text: 'Contact' },
+            { href: 'https://shop.example.com/contact.pdf', text: 'Contact sheet' },
+            { href: 'https://shop.example.com/menu', text: 'Menu' }
+        ];
+        assert.deepEqual(rankLinks(links, 'https://www.shop.example.com/'), [
+            'https://shop.example.com/contact',
+            'https://shop.example.com/about',
+            'https://shop.example.com/privacy'
+        ]);
+    });
+
+    it('tells profiles from share buttons', () => {
+        assert.equal(classifySocialLink('https://www.instagram.com/cafealpha/'), 'instagram');
+        assert.equal(classifySocialLink('https://x.com/cafealpha'), 'twitter');
+        assert.equal(classifySocialLink('https://www.facebook.com/sharer/sharer.php?u=x'), null);
+        assert.equal(classifySocialLink('https://notfacebook.com/cafe'), null);
+    });
+});
@@ -0,0 +1,51 @@
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const fs = require('fs');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { appendResult } = require('../results');
+const { createDiff, getDiff, diffRows } = require('../diff');
+
+const cafe = { businessId: '0x1:0xa', name: 'Cafe Alpha', phone: '080 4112 3456', phoneE164: '+918041123456', website: 'https://cafe-alpha.com', rating: '4.5', reviews: '120' };
+const clinic = { businessId: '0x1:0xb', name: 'Bravo Dental Clinic', phone: 'N/A', website: 'N/A', rating: '4.1', reviews: '87' };
+const deli = { businessId: '0x1:0xc', name: 'Empire Deli', phone: '080 2222 0000', website: 'N/A', rating: '3.9', reviews: '40', businessStatus: 'operational' };
+const bakery = { businessId: '0x1:0xd', name: 'Corner Bakery', phone: 'N/A', website: 'N/A', rating: '4.8', reviews: '15' };
+
+describe('diff between two runs', () => {
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    it('reports new, gone, closed and changed places', async () => {
+        [cafe, clinic, deli].forEach(record => appendResult('run-1', record));
+        [
+            // Same number written differently, only the rating moved
+            { ...cafe, phone: '+91 80 4112 3456', rating: '4.6' },
+            { ...deli, businessStatus: 'permanently_closed' },
+            bakery
+        ].forEach(record => appendResult('run-2', record));
+
+        const diff = await createDiff({ scheduleId: 'schedule-1', previousJobId: 'run-1', jobId: 'run-2' });
+        assert.deepEqual(diff.summary, { added: 1, removed: 1, closed: 1, changed: 1 });
+        assert.equal(diff.added[0].name, 'Corner Bakery');
+        assert.equal(diff.removed[0].name, 'Bravo Dental Clinic');
+        assert.equal(diff.closed[0].name, 'Empire Deli');
+        assert.deepEqual(diff.changed[0].changes, { rating: { from: '4.5', to: '4.6' } });
+
+        assert.deepEqual(getDiff('run-2').summary, diff.summary);
+        assert.deepEqual(diffRows(diff).map(row => [row.name, row.change]), [
+            ['Corner Bakery', 'new'],
+            ['Bravo Dental Clinic', 'disappeared'],
+            ['Empire Deli', 'closed'],
+            ['Cafe Alpha', 'changed']
+        ]);
+        assert.equal(diffRows(diff)[3].changedFields, 'rating: 4.5 -> 4.6');
+    });
+
+    it('finds nothing when a run sees the same places again', async () => {
+        [cafe, clinic].forEach(record => appendResult('run-3', record));
+        [clinic, cafe].forEach(record => appendResult('run-4', record));
+        const diff = await createDiff({ scheduleId: 'schedule-1', previousJobId: 'run-3', jobId: 'run-4' });
+        assert.deepEqual(diff.summary, { added: 0, removed: 0, closed: 0, changed: 0 });
+    });
+});
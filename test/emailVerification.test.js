@@ -0,0 +1,94 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyEmail, verifyBusinessEmails, setDnsResolver } = require('../emailVerification');
+
+function dnsError(code) {
+    return Object.assign(new Error(`queryMx ${code}`), { code });
+}
+
+// Answers from a table, counting lookups so tests can tell cached answers from new ones
+function stubResolver(mx, a = {}) {
+    const stub = {
+        lookups: 0,
+        async resolveMx(domain) {
+            stub.lookups++;
+            const answer = typeof mx[domain] === 'function' ? mx[domain]() : mx[domain];
+            if (answer instanceof Error) throw answer;
+            if (answer === undefined) throw dnsError('ENOTFOUND');
+            return answer;
+        },
+        async resolve4(domain) {
+            if (!a[domain]) throw dnsError('ENODATA');
+            return a[domain];
+        }
+    };
+    return stub;
+}
+
+describe('verifyEmail', () => {
+    let resolver;
+    let failures;
+
+    beforeEach(() => {
+        failures = 1;
+        resolver = stubResolver({
+            'cafe-alpha.com': [{ exchange: 'mx.cafe-alpha.com', priority: 10 }],
+            'gmail.com': [{ exchange: 'gmail-smtp-in.l.google.com', priority: 5 }],
+            'no-mail.com': [{ exchange: '', priority: 0 }],
+            'a-only.com': dnsError('ENODATA'),
+            'parked.com': dnsError('ENODATA'),
+            'flaky.com': () => (failures-- > 0 ? dnsError('ETIMEOUT') : [{ exchange: 'mx.flaky.com', priority: 10 }])
+        }, { 'a-only.com': ['203.0.113.7'] });
+        setDnsResolver(resolver);
+    });
+
+    it('rates an address on a domain with MX records that matches the website', async () => {
+        const result = await verifyEmail('Owner@Cafe-Alpha.com', 'https://www.cafe-alpha.com/');
+        assert.equal(result.email, 'owner@cafe-alpha.com');
+        assert.equal(result.hasMx, true);
+        assert.equal(result.matchesWebsite, true);
+        assert.deepEqual([result.emailStatus, result.emailConfidence], ['valid', 90]);
+
+        const freeMail = await verifyEmail('info@gmail.com', 'https://www.cafe-alpha.com/');
+        assert.deepEqual([freeMail.emailStatus, freeMail.emailConfidence], ['valid', 40]);
+    });
+
+    it('marks domains that don\'t exist or take no mail as invalid', async () => {
+        for (const email of ['owner@missing.com', 'owner@no-mail.com', 'owner@parked.com', 'not an email']) {
+            const result = await verifyEmail(email);
+            assert.equal(result.emailStatus, 'invalid', email);
+            assert.equal(result.emailConfidence, 0);
+        }
+    });
+
+    it('accepts a domain without MX records that has an A record', async () => {
+        const result = await verifyEmail('owner@a-only.com');
+        assert.equal(result.hasMx, true);
+        assert.equal(result.emailStatus, 'valid');
+    });
+
+    it('reports a failed lookup as unknown and tries the domain again next time', async () => {
+        const first = await verifyEmail('owner@flaky.com');
+        assert.equal(first.hasMx, null);
+        assert.equal(first.emailStatus, 'unknown');
+
+        const second = await verifyEmail('owner@flaky.com');
+        assert.equal(second.emailStatus, 'valid');
+        assert.equal(resolver.lookups, 2);
+
+        await verifyEmail('sales@flaky.com');
+        assert.equal(resolver.lookups, 2);
+    });
+
+    it('makes the most trustworthy address the business\'s primary email', async () => {
+        const result = await verifyBusinessEmails({
+            website: 'cafe-alpha.com',
+            email: 'owner@missing.com',
+            emails: [{ email: 'owner@missing.com' }, { email: 'hello@cafe-alpha.com', source: 'contact' }]
+        });
+        assert.equal(result.email, 'hello@cafe-alpha.com');
+        assert.equal(result.emailStatus, 'valid');
+        assert.equal(result.emails[1].source, 'contact');
+        assert.deepEqual(await verifyBusinessEmails({ email: 'N/A' }), { emailStatus: 'N/A', emailConfidence: 'N/A' });
+    });
+});
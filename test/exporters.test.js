@@ -0,0 +1,52 @@
+const { Writable } = require('stream');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { writeExport } = require('../exporters');
+
+// Accepts a few bytes at a time and never finishes a write, like a client that stopped reading
+function stalledStream() {
+    return new Writable({ highWaterMark: 16, write() {} });
+}
+
+describe('writeExport', () => {
+    it('writes a text export to the stream', async () => {
+        const chunks = [];
+        const stream = new Writable({
+            write(chunk, encoding, callback) {
+                chunks.push(chunk.toString());
+                callback();
+            }
+        });
+        async function* records() {
+            yield { name: 'Cafe Alpha', score: 85 };
+            yield { name: 'Bravo Dental Clinic', score: 40 };
+        }
+        await writeExport(records(), { format: 'ndjson', columns: ['name', 'score'] }, stream);
+        assert.deepEqual(chunks.join('').trim().split('\n').map(line => JSON.parse(line)), [
+            { Title: 'Cafe Alpha', 'Lead Score': 85 },
+            { Title: 'Bravo Dental Clinic', 'Lead Score': 40 }
+        ]);
+    });
+
+    it('gives up and stops reading when the stream is closed while it waits to drain', { timeout: 5000 }, async () => {
+        let finished = false;
+        let read = 0;
+        async function* records() {
+            try {
+                for (;;) {
+                    read++;
+                    yield { name: `Business ${read}` };
+                }
+            } finally {
+                finished = true;
+            }
+        }
+        const stream = stalledStream();
+        const exporting = writeExport(records(), { format: 'ndjson', columns: ['name'] }, stream);
+        setTimeout(() => stream.destroy(), 20);
+
+        await assert.rejects(exporting, /closed before the export finished/);
+        assert.equal(finished, true);
+        assert.ok(read < 5);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { chromium } = require('playwright');
+const {
+    DEFAULT_CONFIG,
+    mergeConfig,
+    extractField,
+    recordFieldFill,
+    findDegradedFields
+} = require('../extractionConfig');
+const { SKIP_WITHOUT_BROWSER } = require('./helpers');
+
+describe('mergeConfig', () => {
+    it('overrides single fields and marks the version as custom', () => {
+        const config = mergeConfig(DEFAULT_CONFIG, { fields: { category: { selectors: ['button.Category'] } } });
+        assert.equal(config.version, `${DEFAULT_CONFIG.version}+custom`);
+        assert.deepEqual(config.fields.category.selectors, ['button.Category']);
+        assert.equal(config.fields.category.minFillRate, DEFAULT_CONFIG.fields.category.minFillRate);
+        assert.deepEqual(config.fields.website, DEFAULT_CONFIG.fields.website);
+        assert.deepEqual(config.search, DEFAULT_CONFIG.search);
+    });
+
+    it('keeps the version an override file sets', () => {
+        assert.equal(mergeConfig(DEFAULT_CONFIG, { version: 'local-1' }).version, 'local-1');
+    });
+});
+
+describe('field fill rates', () => {
+    const records = count => Array.from({ length: count }, (_, index) => ({
+        name: `Place ${index}`,
+        address: 'MG Road, Bengaluru',
+        category: 'Cafe',
+        rating: '4.5',
+        reviews: '12',
+        website: index % 2 === 0 ? 'https://example.com/' : 'N/A',
+        phone: index % 4 === 0 ? '8041123456' : 'N/A',
+        plusCode: 'N/A'
+    }));
+    const statsFor = list => list.reduce((stats, record) => recordFieldFill(stats, record), {});
+
+    it('counts the records that have a value for each field', () => {
+        const stats = statsFor(records(8));
+        assert.equal(stats.records, 8);
+        assert.equal(stats.filled.website, 4);
+        assert.equal(stats.filled.phone, 2);
+        assert.equal(stats.filled.plusCode, undefined);
+    });
+
+    it('waits for enough records before judging', () => {
+        assert.deepEqual(findDegradedFields(statsFor(records(5))), []);
+    });
+
+    it('reports fields below their minimum fill rate', () => {
+        const degraded = findDegradedFields(statsFor(records(40)));
+        assert.deepEqual(degraded.map(({ field, fillRate }) => ({ field, fillRate })), [
+            { field: 'plusCode', fillRate: 0 }
+        ]);
+        assert.deepEqual(degraded[0].selectors, DEFAULT_CONFIG.fields.plusCode.selectors);
+    });
+});
+
+describe('extractField', { skip: SKIP_WITHOUT_BROWSER }, () => {
+    let browser;
+    let page;
+
+    before(async () => {
+        browser = await chromium.launch({
+            executablePath: process.env.CHROMIUM_PATH || undefined,
+            args: ['--no-sandbox', '--disable-dev-shm-usage']
+        });
+        page = await browser.newPage();
+        await page.setContent(`
+            <div class="F7nice">
+                <span role="img" aria-label="4.3 stars"></span>
+                <span role="img" aria-label="2,817 reviews"></span>
+            </div>
+            <button jsaction="pane.rating.category">Coffee shop</button>
+            <button data-item-id="oloc"><div>7J4V+8R Bengaluru, Karnataka</div></button>
+        `);
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+    });
+
+    it('falls back along the selector chain', async () => {
+        assert.equal(await extractField(page, DEFAULT_CONFIG.fields.category), 'Coffee shop');
+        assert.equal(await extractField(page, DEFAULT_CONFIG.fields.rating), '4.3');
+        assert.equal(await extractField(page, DEFAULT_CONFIG.fields.reviews), '2,817');
+    });
+
+    it('keeps the part of the value the pattern matches', async () => {
+        assert.equal(await extractField(page, DEFAULT_CONFIG.fields.plusCode), '7J4V+8R');
+    });
+
+    it('returns N/A when no selector matches, skipping invalid ones', async () => {
+        assert.equal(await extractField(page, DEFAULT_CONFIG.fields.website), 'N/A');
+        assert.equal(await extractField(page, { selectors: ['button[', 'button[data-item-id="oloc"] div'] }), '7J4V+8R Bengaluru, Karnataka');
+    });
+});
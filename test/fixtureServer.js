@@ -0,0 +1,68 @@
+// Serves saved Google Maps pages so the scraper can run without network access. The pages in
+// fixtures/maps are trimmed down to the markup the scraper reads, with {{baseUrl}} where Maps
+// has absolute links to itself. Point a scrape at `${baseUrl}` with options.baseUrl or MAPS_BASE_URL.
+//   /maps                    search box, Enter opens /maps/search/<query>
+//   /maps/search/<query>     results feed that loads more listings when scrolled
+//   /maps/place/<name>/...   place panel, from place-<name>.html
+// Searching for "unusual traffic" redirects to the CAPTCHA page Google shows blocked clients,
+// searching for "consent" shows the cookie consent page instead of results.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'maps');
+
+function fixturePath(pathname) {
+    const [, section, name] = pathname.replace(/^\/maps\/?/, '/').split('/');
+    if (!section) return path.join(FIXTURES_DIR, 'home.html');
+    if (section === 'search') {
+        return path.join(FIXTURES_DIR, decodeURIComponent(name || '') === 'consent' ? 'consent.html' : 'search.html');
+    }
+    if (section === 'place' && name) {
+        const slug = decodeURIComponent(name).replace(/\+/g, ' ').toLowerCase().replace(/\s+/g, '-');
+        return path.join(FIXTURES_DIR, `place-${slug}.html`);
+    }
+    return null;
+}
+
+// Resolves with { baseUrl, requests, close } once listening on a free port
+function startFixtureServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        requests.push(pathname);
+        if (decodeURIComponent(pathname) === '/maps/search/unusual traffic') {
+            res.writeHead(302, { Location: `/sorry/index?continue=${encodeURIComponent(req.url)}` });
+            return res.end();
+        }
+        if (pathname.startsWith('/sorry/')) {
+            res.writeHead(429, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(fs.readFileSync(path.join(FIXTURES_DIR, 'sorry.html'), 'utf8'));
+        }
+        const file = pathname.startsWith('/maps') ? fixturePath(pathname) : null;
+        if (!file || !fs.existsSync(file)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(fs.readFileSync(file, 'utf8').replace(/\{\{baseUrl\}\}/g, baseUrl));
+    });
+
+    let baseUrl;
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/maps`;
+            resolve({
+                baseUrl,
+                requests,
+                close: () => new Promise((done) => {
+                    // Chromium keeps connections alive, which would hold close() open
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+module.exports = { startFixtureServer };
@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_GRID_DEPTH, countGridTiles, buildGridSearches, subdivideTile } = require('../grid');
+const { parseGridJob } = require('../jobOptions');
+
+const bounds = { north: 12.99, south: 12.95, east: 77.62, west: 77.58 };
+
+describe('grid jobs', () => {
+    it('splits a tile whose feed hit the cap until maxDepth', () => {
+        const [tile] = buildGridSearches('cafes', bounds, 10);
+        const quarters = subdivideTile({ ...tile, listingsFound: 120 }, 1);
+        assert.equal(quarters.length, 4);
+        assert.deepEqual(quarters.map(search => search.tile.depth), [1, 1, 1, 1]);
+        assert.deepEqual(subdivideTile({ ...quarters[0], listingsFound: 120 }, 1), []);
+        assert.deepEqual(subdivideTile({ ...tile, listingsFound: 40 }, 1), []);
+    });
+
+    it('accepts maxDepth as a small whole number', () => {
+        assert.equal(parseGridJob({ query: 'cafes', bounds }).params.maxDepth, 2);
+        assert.equal(parseGridJob({ query: 'cafes', bounds, maxDepth: '0' }).params.maxDepth, 0);
+        for (const maxDepth of ['deep', -1, 1.5, MAX_GRID_DEPTH + 1, null]) {
+            assert.match(parseGridJob({ query: 'cafes', bounds, maxDepth }).error, /^maxDepth must be/);
+        }
+    });
+
+    it('rejects an area that needs too many tiles before building them', () => {
+        const city = { north: 13.2, south: 12.8, east: 77.8, west: 77.4 };
+        assert.match(parseGridJob({ query: 'cafes', bounds: city, tileSizeKm: 0.0001 }).error, /^The area needs \d+ tiles, at most 400/);
+        assert.equal(countGridTiles(bounds, 2), buildGridSearches('cafes', bounds, 2).length);
+    });
+});
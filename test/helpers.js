@@ -0,0 +1,22 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+
+// Fixture pages are local, the Maps rate limit would only slow the tests down
+process.env.MAPS_REQUESTS_PER_MINUTE = process.env.MAPS_REQUESTS_PER_MINUTE || '0';
+
+// Scraper tests need a real Chromium, from `npx playwright install chromium` or CHROMIUM_PATH
+const SKIP_WITHOUT_BROWSER = fs.existsSync(process.env.CHROMIUM_PATH || chromium.executablePath())
+    ? false
+    : 'Chromium is not installed, run `npx playwright install chromium` or set CHROMIUM_PATH';
+
+// Keeps jobs, results and the business table of a test file away from the real data directory.
+// Call before requiring any module that uses store.js.
+function useTempDataDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmaps-test-'));
+    process.env.DATA_DIR = dir;
+    return dir;
+}
+
+module.exports = { SKIP_WITHOUT_BROWSER, useTempDataDir };
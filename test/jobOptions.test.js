@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchJob } = require('../jobOptions');
+
+describe('job options', () => {
+    it('takes total as a positive whole number', () => {
+        assert.equal(parseSearchJob({ query: 'cafes', total: 20 }).params.total, 20);
+        assert.equal(parseSearchJob({ query: 'cafes', total: '20' }).params.total, 20);
+        assert.equal(parseSearchJob({ query: 'cafes' }).params.total, undefined);
+        for (const total of ['abc', 0, -5, 2.5, '', true]) {
+            assert.equal(parseSearchJob({ query: 'cafes', total }).error, 'total must be a positive whole number', String(total));
+        }
+    });
+
+    it('only takes true or false for extractEmail and skipKnown', () => {
+        const { params } = parseSearchJob({ query: 'cafes', extractEmail: true });
+        assert.equal(params.extractEmail, true);
+        assert.equal(params.skipKnown, false);
+        assert.equal(parseSearchJob({ query: 'cafes', extractEmail: 'false' }).error, 'extractEmail must be true or false');
+        assert.equal(parseSearchJob({ query: 'cafes', skipKnown: 1 }).error, 'skipKnown must be true or false');
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone, normalizeRegion, regionFromText } = require('../phone');
+
+describe('normalizePhone', () => {
+    it('reads local numbers in the region of the listing', () => {
+        assert.deepEqual(normalizePhone('080 4112 3456', 'IN'), {
+            phone: '8041123456',
+            countryCode: '+91',
+            phoneRaw: '080 4112 3456',
+            phoneE164: '+918041123456',
+            phoneType: 'landline',
+            whatsappUrl: 'N/A'
+        });
+        assert.equal(normalizePhone('020 7224 3688', 'GB').phoneE164, '+442072243688');
+    });
+
+    it('keeps the country of numbers written with a +', () => {
+        const phone = normalizePhone('+971 4 123 4567', 'IN');
+        assert.equal(phone.countryCode, '+971');
+        assert.equal(phone.phoneE164, '+97141234567');
+    });
+
+    it('links mobile numbers to WhatsApp', () => {
+        const phone = normalizePhone('098450 12345', 'IN');
+        assert.equal(phone.phoneType, 'mobile');
+        assert.equal(phone.whatsappUrl, 'https://wa.me/919845012345');
+        assert.equal(normalizePhone('1800 123 4567', 'IN').phoneType, 'toll_free');
+    });
+
+    it('returns N/A for every field without a number', () => {
+        const phone = normalizePhone('N/A', 'IN');
+        assert.ok(Object.values(phone).every(value => value === 'N/A'));
+    });
+});
+
+describe('regions', () => {
+    it('accepts two-letter country codes only', () => {
+        assert.equal(normalizeRegion('us'), 'US');
+        assert.equal(normalizeRegion('XX'), null);
+    });
+
+    it('finds the country a location ends with', () => {
+        assert.equal(regionFromText('Dubai - United Arab Emirates'), 'AE');
+        assert.equal(regionFromText('Austin, TX, USA'), 'US');
+        assert.equal(regionFromText('560001'), null);
+    });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { once } = require('events');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when pipeline.js loads: one plugin adds a processor, one replaces the domainAge placeholder
+const pluginsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmaps-plugins-'));
+fs.writeFileSync(path.join(pluginsDir, 'franchise.js'), `module.exports = {
+    name: 'franchise',
+    defaults: { names: ['subway'] },
+    process: (record, settings) => settings.names.some(name => record.name.toLowerCase().includes(name))
+        ? { score: -10, tags: ['franchise'] }
+        : {}
+};`);
+fs.writeFileSync(path.join(pluginsDir, 'domain-age.js'), `module.exports = [{
+    name: 'domainAge',
+    process: async () => ({ domainAgeDays: 4000 })
+}];`);
+fs.writeFileSync(path.join(pluginsDir, 'broken.js'), 'module.exports = { name: "broken" };');
+process.env.PLUGINS_DIR = pluginsDir;
+
+const { parseProcessors, getPipeline, runPipeline } = require('../pipeline');
+const { DEFAULT_RULES, matchesRule, parseNumber } = require('../processors');
+const { sortRecords, matchesFilters } = require('../results');
+
+const lead = fields => ({
+    name: 'Cafe Alpha',
+    category: 'Cafe',
+    website: 'N/A',
+    email: 'N/A',
+    phone: 'N/A',
+    rating: 'N/A',
+    reviews: 'N/A',
+    ...fields
+});
+
+after(() => fs.rmSync(pluginsDir, { recursive: true, force: true }));
+
+describe('scoring rules', () => {
+    it('reads ratings with a decimal comma and review counts with thousands separators', () => {
+        assert.equal(parseNumber('4,5'), 4.5);
+        assert.equal(parseNumber('1,234'), 1234);
+        assert.equal(parseNumber('(87)'), 87);
+        assert.ok(Number.isNaN(parseNumber('N/A')));
+    });
+
+    it('matches presence, ranges and list items', () => {
+        const record = lead({ website: 'https://cafe.example.com', rating: '4.2', tags: ['wordpress'] });
+        assert.equal(matchesRule(record, { field: 'website', present: true }), true);
+        assert.equal(matchesRule(record, { field: 'email', present: true }), false);
+        assert.equal(matchesRule(record, { field: 'rating', min: 4, max: 4.5 }), true);
+        assert.equal(matchesRule(record, { field: 'rating', min: 4.5 }), false);
+        assert.equal(matchesRule(record, { field: 'tags', includes: 'WordPress' }), true);
+        assert.equal(matchesRule(record, { field: 'category', includes: 'caf' }), true);
+    });
+
+    it('adds up to 100 for a lead with everything the team looks for', async () => {
+        const { processors } = parseProcessors(['scoring']);
+        const record = await runPipeline(lead({
+            website: 'https://cafe.example.com',
+            email: 'hello@cafe.example.com',
+            phone: '080 4112 3456',
+            rating: '4.6',
+            reviews: '1,234'
+        }), processors);
+        assert.equal(record.score, 100);
+        assert.deepEqual(record.tags, ['top-rated']);
+        assert.equal(DEFAULT_RULES.reduce((sum, rule) => sum + (rule.points || 0), 0), 100);
+
+        const bare = await runPipeline(lead({}), processors);
+        assert.equal(bare.score, 0);
+        assert.deepEqual(bare.tags, ['no-website']);
+    });
+});
+
+describe('parseProcessors', () => {
+    it('fills in defaults and settings', () => {
+        const { processors } = parseProcessors(['websiteTech', { name: 'keywordTags', keywords: { coffee: ['cafe'] } }]);
+        assert.deepEqual(processors, [
+            { name: 'websiteTech', settings: { timeout: 8000 } },
+            { name: 'keywordTags', settings: { keywords: { coffee: ['cafe'] }, fields: ['name', 'category'] } }
+        ]);
+    });
+
+    it('rejects unknown processors and invalid settings', () => {
+        assert.match(parseProcessors(['crm']).error, /^Unknown processor: crm/);
+        assert.match(parseProcessors([{ name: 'scoring', rules: [{ field: 'rating', min: 'high', points: 5 }] }]).error, /^scoring: min/);
+        assert.match(parseProcessors([{ name: 'keywordTags', keywords: { coffee: 'cafe' } }]).error, /^keywordTags: keywords/);
+        assert.match(parseProcessors('scoring').error, /^processors must be a list/);
+        assert.deepEqual(parseProcessors([]), { processors: [] });
+    });
+});
+
+describe('plugins', () => {
+    it('adds plugin processors before scoring and lets them replace built-in ones, without websiteTech', () => {
+        const { processors, available } = getPipeline();
+        assert.deepEqual(processors.map(processor => processor.name), ['domainAge', 'keywordTags', 'franchise', 'scoring']);
+        assert.equal(available.find(processor => processor.name === 'domainAge').plugin, true);
+        assert.equal(available.find(processor => processor.name === 'scoring').plugin, false);
+        assert.equal(available.some(processor => processor.name === 'broken'), false);
+    });
+
+    it('runs them as part of the default chain', async () => {
+        const record = await runPipeline(lead({ name: 'Subway MG Road', website: 'https://subway.example.invalid' }));
+        assert.equal(record.domainAgeDays, 4000);
+        assert.equal(record.websiteTech, undefined);
+        assert.equal(record.score, 20 - 10);
+        assert.deepEqual(record.tags, ['franchise']);
+    });
+});
+
+describe('websiteTech', () => {
+    let server;
+    let siteUrl;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/shop') {
+                res.writeHead(200, { 'Content-Type': 'text/html', 'X-ShopId': '1234' });
+                return res.end('<html><script src="https://cdn.shopify.com/s/files/theme.js"></script></html>');
+            }
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end('<html><head><meta name="generator" content="WordPress 6.5" /></head>' +
+                '<link rel="stylesheet" href="/wp-content/themes/cafe/style.css"></html>');
+        });
+        server.listen(0, '127.0.0.1');
+        await once(server, 'listening');
+        siteUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => server.close());
+
+    it('detects the site builder and a site without https', async () => {
+        const { processors } = parseProcessors(['websiteTech', 'scoring']);
+        const record = await runPipeline(lead({ website: `${siteUrl}/` }), processors);
+        assert.deepEqual(record.websiteTech, ['WordPress']);
+        assert.deepEqual(record.tags, ['wordpress', 'no-ssl']);
+        assert.equal(record.score, 20);
+
+        const shop = await runPipeline(lead({ website: `${siteUrl}/shop` }), processors);
+        assert.deepEqual(shop.websiteTech, ['Shopify']);
+    });
+
+    it('leaves an unreachable site untagged', async () => {
+        const { processors } = parseProcessors([{ name: 'websiteTech', timeout: 2000 }]);
+        const record = await runPipeline(lead({ website: 'http://127.0.0.1:9/' }), processors);
+        assert.equal(record.websiteTech, undefined);
+        assert.deepEqual(record.tags, []);
+    });
+});
+
+describe('sorting and filtering by score', () => {
+    const records = [
+        { name: 'Bravo', score: 40, tags: ['no-website'], reviews: '87' },
+        { name: 'Alpha', score: 85, tags: ['top-rated', 'wordpress'], reviews: '1,234' },
+        { name: 'Delta', score: 40, tags: [], reviews: 'N/A' },
+        { name: 'Charlie', tags: [], reviews: '302' }
+    ];
+
+    it('sorts by several fields with records without a value last', () => {
+        assert.deepEqual(sortRecords([...records], '-score,name').map(record => record.name), ['Alpha', 'Bravo', 'Delta', 'Charlie']);
+        assert.deepEqual(sortRecords([...records], '-reviews').map(record => record.name), ['Alpha', 'Charlie', 'Bravo', 'Delta']);
+        assert.deepEqual(sortRecords([...records], '').map(record => record.name), ['Bravo', 'Alpha', 'Delta', 'Charlie']);
+    });
+
+    it('filters by score range and tags', () => {
+        const names = filters => records.filter(record => matchesFilters(record, filters)).map(record => record.name);
+        assert.deepEqual(names({ minScore: '40' }), ['Bravo', 'Alpha', 'Delta']);
+        assert.deepEqual(names({ maxScore: '50' }), ['Bravo', 'Delta']);
+        assert.deepEqual(names({ tags: 'WordPress,top-rated' }), ['Alpha']);
+        assert.deepEqual(names({ tags: ['no-website'] }), ['Bravo']);
+    });
+});
@@ -0,0 +1,183 @@
+const { SKIP_WITHOUT_BROWSER } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { chromium } = require('playwright');
+const { scrapeGoogleMaps } = require('../scraper');
+const { startFixtureServer } = require('./fixtureServer');
+
+describe('scrapeGoogleMaps', { skip: SKIP_WITHOUT_BROWSER }, () => {
+    let maps;
+    let browser;
+
+    // Injected instead of the browser pool, every scrape gets its own context
+    async function pageSource(contextOptions) {
+        const context = await browser.newContext(contextOptions);
+        return { context, release: () => context.close() };
+    }
+
+    async function scrape(total, options = {}, signal) {
+        const records = [];
+        const outcome = await scrapeGoogleMaps('cafes', total, record => records.push(record), signal, false, {
+            baseUrl: maps.baseUrl,
+            pageSource,
+            ...options
+        });
+        return { ...outcome, records };
+    }
+
+    before(async () => {
+        maps = await startFixtureServer();
+        browser = await chromium.launch({
+            executablePath: process.env.CHROMIUM_PATH || undefined,
+            args: ['--no-sandbox', '--disable-dev-shm-usage']
+        });
+    });
+
+    after(async () => {
+        if (browser) await browser.close();
+        if (maps) await maps.close();
+    });
+
+    describe('a search scraped to the end', () => {
+        let outcome;
+        const listingsFound = [];
+        const byName = name => outcome.results.find(record => record.name === name);
+
+        before(async () => {
+            outcome = await scrape(Infinity, { onListingsFound: found => listingsFound.push(found) });
+        });
+
+        it('finds the listings the feed loads while it is scrolled', () => {
+            assert.equal(outcome.endReason, 'end_of_results');
+            assert.equal(outcome.error, undefined);
+            assert.equal(listingsFound[listingsFound.length - 1], 6);
+            assert.deepEqual(outcome.results.map(record => record.name).sort(), [
+                'Baker Street Books',
+                'Bravo Dental Clinic',
+                'Cafe Alpha',
+                'Delta Fitness Gym',
+                'Empire Deli'
+            ]);
+        });
+
+        it('keeps one record for a place listed twice under different URLs', () => {
+            assert.equal(outcome.results.filter(record => record.name === 'Cafe Alpha').length, 1);
+        });
+
+        it('hands every record to the callback as it is scraped', () => {
+            assert.deepEqual(outcome.records, outcome.results);
+        });
+
+        it('extracts the place panel fields', () => {
+            const cafe = byName('Cafe Alpha');
+            assert.equal(cafe.placeUrl.startsWith(`${maps.baseUrl}/place/Cafe+Alpha/`), true);
+            assert.equal(cafe.website, 'https://cafe-alpha.example.com/');
+            assert.equal(cafe.rating, '4.5');
+            assert.equal(cafe.reviews, '1,234');
+            assert.equal(cafe.category, 'Cafe');
+            assert.equal(cafe.plusCode, '7J4V+8R');
+            assert.equal(cafe.placeId, '0x3bae167c8b4c1a2b:0x1f2e3d4c5b6a7988');
+            assert.equal(cafe.cid, BigInt('0x1f2e3d4c5b6a7988').toString());
+            assert.equal(cafe.latitude, 12.9756);
+            assert.equal(cafe.longitude, 77.6066);
+            assert.equal(cafe.email, 'N/A');
+        });
+
+        it('parses the address and phone by the listing country', () => {
+            const address = ['street', 'locality', 'city', 'state', 'pincode', 'country'];
+            assert.deepEqual(
+                Object.fromEntries(address.map(field => [field, byName('Cafe Alpha')[field]])),
+                { street: '12, MG Road', locality: 'Ashok Nagar', city: 'Bengaluru', state: 'Karnataka', pincode: '560001', country: 'IN' }
+            );
+            assert.equal(byName('Cafe Alpha').phoneE164, '+918041123456');
+            assert.equal(byName('Cafe Alpha').phoneType, 'landline');
+
+            const deli = byName('Empire Deli');
+            assert.equal(deli.country, 'US');
+            assert.equal(deli.state, 'NY');
+            assert.equal(deli.pincode, '10118');
+            assert.equal(deli.phoneE164, '+12127363100');
+            assert.equal(deli.countryCode, '+1');
+
+            const books = byName('Baker Street Books');
+            assert.equal(books.country, 'GB');
+            assert.equal(books.pincode, 'NW1 6XE');
+            assert.equal(books.phoneE164, '+442072243688');
+
+            const gym = byName('Delta Fitness Gym');
+            assert.equal(gym.phoneE164, '+919845012345');
+            assert.equal(gym.phoneType, 'mobile');
+            assert.equal(gym.whatsappUrl, 'https://wa.me/919845012345');
+        });
+
+        it('leaves fields the panel does not show as N/A', () => {
+            const dentist = byName('Bravo Dental Clinic');
+            assert.equal(dentist.website, 'N/A');
+            assert.equal(dentist.phone, 'N/A');
+            assert.equal(dentist.phoneE164, 'N/A');
+            assert.equal(dentist.plusCode, 'N/A');
+            assert.equal(dentist.pincode, '560025');
+        });
+    });
+
+    it('stops once the requested number of results is scraped', async () => {
+        const outcome = await scrape(2);
+        assert.equal(outcome.endReason, 'limit_reached');
+        assert.equal(outcome.results.length, 2);
+    });
+
+    it('stops when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const records = [];
+        const outcome = await scrapeGoogleMaps('cafes', Infinity, (record) => {
+            records.push(record);
+            controller.abort();
+        }, controller.signal, false, { baseUrl: maps.baseUrl, pageSource });
+
+        assert.equal(outcome.endReason, 'stopped');
+        assert.ok(records.length > 0);
+        assert.ok(records.length < 5, `expected the scrape to stop early, got ${records.length} records`);
+    });
+
+    it('skips places a checkpoint already has', async () => {
+        const full = await scrape(Infinity);
+        const dentist = full.results.find(record => record.name === 'Bravo Dental Clinic');
+
+        const resumed = await scrape(Infinity, { processedUrls: [dentist.placeUrl] });
+        assert.equal(resumed.results.length, 4);
+        assert.equal(resumed.results.some(record => record.name === 'Bravo Dental Clinic'), false);
+    });
+
+    it('reports records the filter rejects without counting them', async () => {
+        const filtered = [];
+        const outcome = await scrape(Infinity, {
+            filter: record => record.pincode === '560001',
+            onFiltered: record => filtered.push(record.name)
+        });
+
+        assert.deepEqual(outcome.results.map(record => record.name), ['Cafe Alpha']);
+        assert.deepEqual(filtered.sort(), ['Baker Street Books', 'Bravo Dental Clinic', 'Delta Fitness Gym', 'Empire Deli']);
+    });
+
+    it('ends as blocked when Google answers with a CAPTCHA', async () => {
+        const outcome = await scrapeGoogleMaps('unusual traffic', Infinity, () => {}, undefined, false, {
+            baseUrl: maps.baseUrl,
+            pageSource
+        });
+
+        assert.equal(outcome.endReason, 'blocked');
+        assert.equal(outcome.blockedBy, 'captcha');
+        assert.deepEqual(outcome.results, []);
+        assert.ok(maps.requests.includes('/sorry/index'));
+    });
+
+    it('ends as blocked on the cookie consent page', async () => {
+        const outcome = await scrapeGoogleMaps('consent', Infinity, () => {}, undefined, false, {
+            baseUrl: maps.baseUrl,
+            pageSource
+        });
+
+        assert.equal(outcome.endReason, 'blocked');
+        assert.equal(outcome.blockedBy, 'consent');
+    });
+});
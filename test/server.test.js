@@ -0,0 +1,219 @@
+const { SKIP_WITHOUT_BROWSER, useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer } = require('./fixtureServer');
+
+// The /scrape stream is one JSON message per line, the final complete or error message
+// has no trailing newline. Calls onMessage as each message arrives.
+async function readScrapeStream(response, onMessage = () => {}) {
+    const messages = [];
+    const decoder = new TextDecoder();
+    let buffered = '';
+    const handle = async (line) => {
+        const message = JSON.parse(line);
+        messages.push(message);
+        await onMessage(message);
+    };
+
+    for await (const chunk of response.body) {
+        buffered += decoder.decode(chunk, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) await handle(line);
+        }
+    }
+    if (buffered.trim()) await handle(buffered);
+    return messages;
+}
+
+describe('server', () => {
+    let maps;
+    let server;
+    let baseUrl;
+    let closePool;
+    let cookie = '';
+
+    // Signed in like the bundled frontend, with the session cookie
+    const get = route => fetch(`${baseUrl}${route}`, { headers: { Cookie: cookie } });
+    const post = (route, body) => fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Cookie: cookie },
+        body: JSON.stringify(body)
+    });
+
+    before(async () => {
+        maps = await startFixtureServer();
+        // Read when the scraper modules load, so they are only required now
+        process.env.MAPS_BASE_URL = maps.baseUrl;
+        // Websites are never found, as if Maps had renamed the element, and two records are enough to tell
+        const selectorsFile = path.join(dataDir, 'selectors.json');
+        fs.writeFileSync(selectorsFile, JSON.stringify({ fields: { website: { selectors: ['a.renamed-website'] } } }));
+        process.env.SELECTORS_FILE = selectorsFile;
+        process.env.SELECTOR_MIN_SAMPLE = '2';
+        process.env.ADMIN_USERNAME = 'admin';
+        process.env.ADMIN_PASSWORD = 'test-password';
+        const { startServer } = require('../server');
+        ({ closePool } = require('../browserPool'));
+
+        server = startServer(0);
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const login = await post('/auth/login', { username: 'admin', password: 'test-password' });
+        cookie = login.headers.get('set-cookie').split(';')[0];
+    });
+
+    after(async () => {
+        server.close();
+        await closePool();
+        await maps.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe('/scrape', () => {
+        it('rejects /scrape, /stop-scrape and /download without credentials', async () => {
+            for (const route of ['/scrape', '/stop-scrape', '/download']) {
+                const response = await fetch(`${baseUrl}${route}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ query: 'cafes', data: [] })
+                });
+                assert.equal(response.status, 401);
+                assert.deepEqual(await response.json(), { error: 'Authentication required' });
+            }
+        });
+
+        it('rejects a request without a query', async () => {
+            const response = await post('/scrape', { location: '560001' });
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { error: 'query is required' });
+        });
+
+        it('streams the job, every record and the outcome', { skip: SKIP_WITHOUT_BROWSER }, async () => {
+            const response = await post('/scrape', { query: 'cafes', total: 3 });
+            assert.equal(response.status, 200);
+            const messages = await readScrapeStream(response);
+
+            const [first, ...rest] = messages;
+            assert.equal(first.type, 'job');
+            const updates = rest.filter(message => message.type === 'update');
+            assert.equal(updates.length, 3);
+            for (const update of updates) {
+                assert.equal(typeof update.data.name, 'string');
+                assert.equal(typeof update.data.businessId, 'string');
+                assert.equal(update.data.searchQuery, 'cafes');
+                assert.equal(typeof update.data.score, 'number');
+                assert.ok(update.data.tags.includes('no-website'));
+                assert.equal(typeof update.progress, 'number');
+            }
+            assert.deepEqual(rest[rest.length - 1], { type: 'complete', totalResults: 3, endReason: 'limit_reached' });
+
+            const job = await (await get(`/jobs/${first.jobId}`)).json();
+            assert.equal(job.status, 'completed');
+            assert.equal(job.counts.results, 3);
+        });
+
+        it('sorts and filters a download by lead score and tags', async () => {
+            const data = [
+                { name: 'Bravo', score: 40, tags: ['no-website'] },
+                { name: 'Alpha', score: 85, tags: ['top-rated'] },
+                { name: 'Charlie', score: 60, tags: ['top-rated', 'wordpress'] }
+            ];
+            const response = await post('/download', {
+                data,
+                format: 'json',
+                columns: ['name', 'score', 'tags'],
+                filters: { minScore: 50, tags: 'top-rated' },
+                sort: '-score'
+            });
+            assert.equal(response.status, 200);
+            assert.deepEqual((await response.json()).map(row => row.Title), ['Alpha', 'Charlie']);
+
+            const invalid = await post('/download', { data, filters: 'top-rated' });
+            assert.equal(invalid.status, 400);
+        });
+
+        it('ends the stream as stopped after /stop-scrape', { skip: SKIP_WITHOUT_BROWSER }, async () => {
+            const response = await post('/scrape', { query: 'cafes' });
+            let stopped = false;
+            const messages = await readScrapeStream(response, async (message) => {
+                if (message.type !== 'update' || stopped) return;
+                stopped = true;
+                const stop = await (await post('/stop-scrape', {})).json();
+                assert.equal(stop.message, 'Scraping stopped');
+            });
+
+            const last = messages[messages.length - 1];
+            assert.equal(last.type, 'complete');
+            assert.equal(last.endReason, 'stopped');
+            assert.ok(last.totalResults < 5);
+        });
+
+        it('warns in the stream and on the job when a field stops being found', { skip: SKIP_WITHOUT_BROWSER }, async () => {
+            const messages = await readScrapeStream(await post('/scrape', { query: 'cafes', total: 3 }));
+
+            const warnings = messages.filter(message => message.type === 'selector_degraded');
+            assert.deepEqual(warnings, [{ type: 'selector_degraded', field: 'website', fillRate: 0, minFillRate: 0.05 }]);
+            assert.equal(messages[messages.length - 1].type, 'complete');
+
+            const { DEFAULT_CONFIG } = require('../extractionConfig');
+            const job = await (await get(`/jobs/${messages[0].jobId}`)).json();
+            assert.equal(job.selectorVersion, `${DEFAULT_CONFIG.version}+custom`);
+            assert.equal(job.warnings.length, 1);
+            assert.equal(job.warnings[0].field, 'website');
+            assert.deepEqual(job.warnings[0].selectors, ['a.renamed-website']);
+            assert.equal(job.fieldStats.records, 3);
+        });
+    });
+
+    describe('/jobs', () => {
+        it('answers with an error instead of hanging when reading a job\'s data fails', async () => {
+            const job = await (await post('/jobs', { query: 'cafes', total: 1 })).json();
+            await fetch(`${baseUrl}/jobs/${job.id}`, { method: 'DELETE', headers: { Cookie: cookie } });
+            // A directory where the reviews file should be makes reading it throw
+            fs.mkdirSync(path.join(dataDir, 'reviews', `${job.id}.ndjson`), { recursive: true });
+
+            const response = await get(`/jobs/${job.id}/reviews`);
+            assert.equal(response.status, 500);
+            assert.equal((await response.json()).error, 'Reading reviews failed');
+        });
+
+        it('keeps the event stream of a resumed job open until its new run ends', { skip: SKIP_WITHOUT_BROWSER }, async () => {
+            let stopped = false;
+            const messages = await readScrapeStream(await post('/scrape', { query: 'cafes' }), async (message) => {
+                if (message.type !== 'update' || stopped) return;
+                stopped = true;
+                await post('/stop-scrape', {});
+            });
+            const jobId = messages[0].jobId;
+            assert.equal(messages[messages.length - 1].endReason, 'stopped');
+            assert.equal((await post(`/jobs/${jobId}/resume`, {})).status, 202);
+
+            // Connects without a Last-Event-ID, so the first run's complete event is in the replay
+            const response = await get(`/jobs/${jobId}/events`);
+            const events = (await response.text()).split('\n')
+                .filter(line => line.startsWith('data: '))
+                .map(line => JSON.parse(line.slice('data: '.length)));
+            const ends = events.filter(event => event.type === 'complete' || event.type === 'error');
+            assert.equal(ends.length, 1);
+            assert.equal(ends[0].run, 1);
+            assert.equal(ends[0].status, 'completed');
+            assert.ok(events.some(event => event.type === 'update' && event.run === 1));
+        });
+    });
+
+    describe('/schedules', () => {
+        it('rejects skipKnown on a schedule', async () => {
+            const response = await post('/schedules', { cron: '0 6 * * 1', query: 'cafes', skipKnown: true });
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).error, /^skipKnown cannot be used on a schedule/);
+        });
+    });
+});
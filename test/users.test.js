@@ -0,0 +1,142 @@
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+// Read when usage.js loads
+process.env.QUOTA_RESULTS_PER_DAY = '100';
+process.env.QUOTA_EMAIL_LOOKUPS_PER_DAY = '0';
+
+const fs = require('fs');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseUser,
+    createUser,
+    editUser,
+    deleteUser,
+    createApiKey,
+    deleteApiKey,
+    findUserByApiKey,
+    checkPassword,
+    createSession,
+    findUserBySession,
+    endSession,
+    canAccess,
+    publicUser
+} = require('../users');
+const { parseQuotas, getQuotas, remainingQuota, recordUsage, getUsage } = require('../usage');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+describe('parseUser', () => {
+    it('needs a username and a long enough password', () => {
+        assert.deepEqual(parseUser({ username: ' Alice ', password: 'correct horse' }), {
+            user: { username: 'alice', password: 'correct horse' }
+        });
+        assert.match(parseUser({ username: 'a', password: 'correct horse' }).error, /^username/);
+        assert.match(parseUser({ username: 'alice', password: 'short' }).error, /^password/);
+        assert.match(parseUser({ username: 'alice', password: 'correct horse', role: 'owner' }).error, /^role/);
+    });
+
+    it('allows leaving fields out when editing', () => {
+        assert.deepEqual(parseUser({ team: 'acme', disabled: 1 }, { partial: true }), {
+            user: { team: 'acme', disabled: true }
+        });
+    });
+});
+
+describe('users', () => {
+    it('stores a hash of the password and checks it', async () => {
+        const { user } = await createUser({ username: 'alice', password: 'correct horse' });
+        assert.equal(user.team, 'alice');
+        assert.equal(user.role, 'user');
+        assert.match(user.passwordHash, /^scrypt\$/);
+        assert.equal(JSON.stringify(publicUser(user)).includes(user.passwordHash), false);
+
+        assert.equal(await checkPassword('Alice', 'correct horse'), user);
+        assert.equal(await checkPassword('alice', 'wrong horse'), null);
+        assert.equal(await checkPassword('nobody', 'correct horse'), null);
+        assert.deepEqual(await createUser({ username: 'alice', password: 'another one' }), { error: 'User alice already exists' });
+    });
+
+    it('finds the user of an API key until it is deleted', async () => {
+        const { user } = await createUser({ username: 'bob', password: 'correct horse', team: 'acme' });
+        const key = createApiKey(user.id, 'ci');
+        assert.match(key.key, /^gmx_/);
+        assert.equal(key.prefix, key.key.slice(0, 10));
+        assert.equal(JSON.stringify(user).includes(key.key), false);
+
+        assert.equal(findUserByApiKey(key.key), user);
+        assert.equal(findUserByApiKey(`${key.key}x`), null);
+        assert.ok(user.apiKeys[0].lastUsedAt);
+
+        deleteApiKey(user.id, key.id);
+        assert.equal(findUserByApiKey(key.key), null);
+    });
+
+    it('ends sessions on sign out, a password change or when the user is disabled', async () => {
+        const { user } = await createUser({ username: 'carol', password: 'correct horse' });
+        const first = createSession(user.id);
+        assert.equal(findUserBySession(first.token), user);
+        endSession(first.token);
+        assert.equal(findUserBySession(first.token), null);
+
+        const second = createSession(user.id);
+        await editUser(user.id, { password: 'battery staple' });
+        assert.equal(findUserBySession(second.token), null);
+        assert.equal(await checkPassword('carol', 'battery staple'), user);
+
+        const third = createSession(user.id);
+        await editUser(user.id, { disabled: true });
+        assert.equal(findUserBySession(third.token), null);
+        assert.equal(await checkPassword('carol', 'battery staple'), null);
+    });
+
+    it('removes a deleted user with their keys', async () => {
+        const { user } = await createUser({ username: 'dave', password: 'correct horse' });
+        const key = createApiKey(user.id);
+        deleteUser(user.id);
+        assert.equal(findUserByApiKey(key.key), null);
+        assert.equal(await checkPassword('dave', 'correct horse'), null);
+    });
+
+    it('shares resources within a team', () => {
+        const member = { role: 'user', team: 'acme' };
+        assert.equal(canAccess(member, { team: 'acme' }), true);
+        assert.equal(canAccess(member, { team: 'other' }), false);
+        assert.equal(canAccess(member, { team: null }), false);
+        assert.equal(canAccess({ role: 'admin', team: 'admin' }, { team: 'other' }), true);
+    });
+});
+
+describe('quotas', () => {
+    it('accepts whole numbers and null for the default', () => {
+        assert.deepEqual(parseQuotas({ resultsPerDay: 10, concurrentJobs: null }), {
+            quotas: { resultsPerDay: 10, concurrentJobs: null }
+        });
+        assert.deepEqual(parseQuotas({ results: 10 }), { error: 'Unknown quota: results' });
+        assert.match(parseQuotas({ resultsPerDay: -1 }).error, /^resultsPerDay/);
+    });
+
+    it('counts a day\'s usage against the quotas', async () => {
+        const { user } = await createUser({ username: 'erin', password: 'correct horse', quotas: { resultsPerDay: 3 } });
+        assert.deepEqual(getQuotas(user.id), { concurrentJobs: 2, resultsPerDay: 3, emailLookupsPerDay: 0 });
+
+        recordUsage(user.id, 'results', 2);
+        assert.equal(remainingQuota(user.id, 'resultsPerDay'), 1);
+        recordUsage(user.id, 'results', 2);
+        assert.equal(remainingQuota(user.id, 'resultsPerDay'), 0);
+        // 0 is unlimited
+        assert.equal(remainingQuota(user.id, 'emailLookupsPerDay'), Infinity);
+
+        const [today, yesterday] = getUsage(user.id, 2);
+        assert.deepEqual(today, { date: new Date().toISOString().slice(0, 10), jobs: 0, results: 4, emailLookups: 0 });
+        assert.equal(yesterday.results, 0);
+
+        await editUser(user.id, { quotas: { resultsPerDay: null } });
+        assert.equal(remainingQuota(user.id, 'resultsPerDay'), 96);
+    });
+
+    it('does not limit jobs without an owner', () => {
+        assert.equal(remainingQuota(null, 'resultsPerDay'), Infinity);
+    });
+});
@@ -0,0 +1,94 @@
+const { useTempDataDir } = require('./helpers');
+
+const dataDir = useTempDataDir();
+// Retries would otherwise wait a second
+process.env.WEBHOOK_RETRY_DELAY = '10';
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { once } = require('events');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { jobEvents } = require('../jobs');
+const { initWebhooks, parseWebhook, createWebhook, testWebhook, listDeliveries, deleteWebhook } = require('../webhooks');
+
+describe('webhook deliveries', () => {
+    let receiver;
+    let url;
+    // Status codes the receiver answers with, 200 once they run out
+    let statuses = [];
+    const received = [];
+
+    before(async () => {
+        receiver = http.createServer(async (req, res) => {
+            let body = '';
+            for await (const chunk of req) body += chunk;
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.shift() || 200);
+            res.end();
+        });
+        receiver.listen(0, '127.0.0.1');
+        await once(receiver, 'listening');
+        url = `http://127.0.0.1:${receiver.address().port}/hook`;
+        initWebhooks();
+    });
+
+    after(() => {
+        receiver.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    function register(settings = {}) {
+        const { webhook, error } = parseWebhook({ url, secret: 'receiver-secret', ...settings });
+        assert.equal(error, undefined);
+        return createWebhook(webhook);
+    }
+
+    it('signs the body and retries a receiver that is briefly down', async () => {
+        const webhook = register();
+        statuses = [503];
+        received.length = 0;
+
+        const delivery = await testWebhook(webhook.id);
+        assert.equal(delivery.status, 'delivered');
+        assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [503, 200]);
+        assert.equal(received.length, 2);
+
+        const { headers, body } = received[1];
+        const expected = crypto.createHmac('sha256', 'receiver-secret')
+            .update(`${headers['x-webhook-timestamp']}.${body}`)
+            .digest('hex');
+        assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+        assert.equal(headers['x-webhook-event'], 'ping');
+        assert.equal(JSON.parse(body).webhookId, webhook.id);
+
+        const [logged] = listDeliveries(webhook.id);
+        assert.equal(logged.id, delivery.id);
+        assert.equal(logged.status, 'delivered');
+        assert.equal(logged.attempts.length, 2);
+        deleteWebhook(webhook.id);
+    });
+
+    it('gives up on a receiver that rejects the request and logs the failure', async () => {
+        const webhook = register();
+        statuses = [400];
+
+        const delivery = await testWebhook(webhook.id);
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.attempts.length, 1);
+        assert.deepEqual(listDeliveries(webhook.id, { status: 'failed' }).map(item => item.id), [delivery.id]);
+        deleteWebhook(webhook.id);
+    });
+
+    it('keeps delivering after a delivery that throws', async () => {
+        const webhook = register({ batchSize: 1 });
+        statuses = [];
+        // A record that can't be turned into JSON makes its delivery throw
+        jobEvents.emit('all', { id: 'job-1', team: null, counts: {} }, { type: 'update', data: { name: 'Cafe Alpha', views: 1n } });
+
+        const delivery = await testWebhook(webhook.id);
+        assert.equal(delivery.status, 'delivered');
+        deleteWebhook(webhook.id);
+    });
+});
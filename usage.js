@@ -0,0 +1,106 @@
+// Per-user quotas and the daily usage they are checked against. An admin can set a user's
+// quotas, the ones left unset come from QUOTA_CONCURRENT_JOBS, QUOTA_RESULTS_PER_DAY and
+// QUOTA_EMAIL_LOOKUPS_PER_DAY. 0 means unlimited. Days are UTC.
+const path = require('path');
+const { dataPath, readJson, writeJson } = require('./store');
+const { getUser } = require('./users');
+
+const USAGE_DIR = dataPath('usage');
+// Older days are dropped from a user's usage file
+const KEPT_DAYS = 90;
+
+function envQuota(name, fallback) {
+    const parsed = parseInt(process.env[name], 10);
+    return Number.isNaN(parsed) ? fallback : Math.max(parsed, 0);
+}
+
+const DEFAULT_QUOTAS = {
+    concurrentJobs: envQuota('QUOTA_CONCURRENT_JOBS', 2),
+    resultsPerDay: envQuota('QUOTA_RESULTS_PER_DAY', 5000),
+    emailLookupsPerDay: envQuota('QUOTA_EMAIL_LOOKUPS_PER_DAY', 1000)
+};
+// Usage counter each daily quota is checked against
+const DAILY_COUNTERS = { resultsPerDay: 'results', emailLookupsPerDay: 'emailLookups' };
+const COUNTERS = ['jobs', 'results', 'emailLookups'];
+
+const usage = new Map(); // userId -> { 'YYYY-MM-DD': { jobs, results, emailLookups } }
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function usagePath(userId) {
+    return path.join(USAGE_DIR, `${userId}.json`);
+}
+
+function loadUsage(userId) {
+    if (!usage.has(userId)) {
+        usage.set(userId, readJson(usagePath(userId), {}));
+    }
+    return usage.get(userId);
+}
+
+// { quotas } from an admin's request, a null value goes back to the default, or { error }
+function parseQuotas(body) {
+    if (body === undefined) return { quotas: undefined };
+    if (!body || typeof body !== 'object') {
+        return { error: `quotas must be an object with ${Object.keys(DEFAULT_QUOTAS).join(', ')}` };
+    }
+    const quotas = {};
+    for (const [name, value] of Object.entries(body)) {
+        if (!(name in DEFAULT_QUOTAS)) {
+            return { error: `Unknown quota: ${name}` };
+        }
+        if (value !== null && (!Number.isInteger(value) || value < 0)) {
+            return { error: `${name} must be a whole number, 0 for unlimited, or null for the default` };
+        }
+        quotas[name] = value;
+    }
+    return { quotas };
+}
+
+// A user's quotas with the defaults filled in. Jobs without an owner, e.g. from the CLI,
+// have no limits.
+function getQuotas(userId) {
+    const user = userId ? getUser(userId) : null;
+    if (!user) return { concurrentJobs: 0, resultsPerDay: 0, emailLookupsPerDay: 0 };
+    const quotas = { ...DEFAULT_QUOTAS };
+    for (const [name, value] of Object.entries(user.quotas || {})) {
+        if (value !== null && value !== undefined) quotas[name] = value;
+    }
+    return quotas;
+}
+
+// What is left of a daily quota today, Infinity when it is unlimited
+function remainingQuota(userId, name) {
+    const limit = getQuotas(userId)[name];
+    if (!limit) return Infinity;
+    const used = (loadUsage(userId)[today()] || {})[DAILY_COUNTERS[name]] || 0;
+    return Math.max(limit - used, 0);
+}
+
+function recordUsage(userId, counter, amount = 1) {
+    if (!userId) return;
+    const days = loadUsage(userId);
+    const date = today();
+    if (!days[date]) {
+        days[date] = { jobs: 0, results: 0, emailLookups: 0 };
+        for (const day of Object.keys(days).sort().slice(0, -KEPT_DAYS)) delete days[day];
+    }
+    days[date][counter] += amount;
+    writeJson(usagePath(userId), days);
+}
+
+// The last `days` days of a user's usage, newest first, including days without any
+function getUsage(userId, days = 1) {
+    const stored = loadUsage(userId);
+    const result = [];
+    for (let i = 0; i < days; i++) {
+        const date = new Date(Date.now() - i * 86400000).toISOString().slice(0, 10);
+        const counts = Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+        result.push({ date, ...counts, ...stored[date] });
+    }
+    return result;
+}
+
+module.exports = { DEFAULT_QUOTAS, parseQuotas, getQuotas, remainingQuota, recordUsage, getUsage };
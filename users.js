@@ -0,0 +1,304 @@
+// API users. A user signs in with a password for a session cookie, which is what the bundled
+// frontend sends, or calls the API with one of their keys as `Authorization: Bearer <key>`.
+// Passwords are stored as scrypt hashes, keys and session tokens as SHA-256 hashes.
+// Every user belongs to a team, jobs, schedules and webhooks are shared within it.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { dataPath, readJson, writeJson, listJson } = require('./store');
+
+const USERS_DIR = dataPath('users');
+const SESSIONS_DIR = dataPath('sessions');
+
+const ROLES = ['admin', 'user'];
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 7 * 24) * 3600000;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/;
+const KEY_PREFIX = 'gmx_';
+// lastUsedAt of a key is only saved again after this long, not on every request
+const KEY_USE_RESOLUTION = 60000;
+
+const scrypt = promisify(crypto.scrypt);
+
+const users = new Map();
+const keyIndex = new Map(); // SHA-256 of an API key -> { userId, keyId }
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function saveUser(user) {
+    writeJson(path.join(USERS_DIR, `${user.id}.json`), user);
+}
+
+function updateUser(user, changes) {
+    Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+    saveUser(user);
+    return user;
+}
+
+// Hashes and secrets never leave the server
+function publicUser(user) {
+    const { passwordHash, apiKeys, ...rest } = user;
+    return { ...rest, apiKeys: apiKeys.map(({ hash, ...key }) => key) };
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Load users and index their keys. Without any user an admin is created, from ADMIN_USERNAME
+// and ADMIN_PASSWORD or with a generated password that is printed once.
+async function initUsers() {
+    for (const user of listJson(USERS_DIR)) {
+        users.set(user.id, user);
+        for (const key of user.apiKeys) {
+            keyIndex.set(key.hash, { userId: user.id, keyId: key.id });
+        }
+    }
+    if (users.size > 0) return;
+
+    const username = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    await createUser({ username, password, role: 'admin' });
+    if (!process.env.ADMIN_PASSWORD) {
+        console.log(`Created admin user "${username}" with password ${password}, change it with POST /auth/password`);
+    }
+}
+
+// { user } with validated fields for createUser or editUser, or { error }. `partial` allows
+// leaving out the username and password when editing.
+function parseUser(body, { partial = false } = {}) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'user must be an object' };
+    }
+    const { username, password, role, team, disabled } = body;
+    const user = {};
+
+    if (username !== undefined || !partial) {
+        const name = String(username || '').trim().toLowerCase();
+        if (!USERNAME_PATTERN.test(name)) {
+            return { error: 'username must be 2-64 lowercase letters, digits, dots, dashes or underscores' };
+        }
+        user.username = name;
+    }
+    if (password !== undefined || !partial) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+        }
+        user.password = password;
+    }
+    if (role !== undefined) {
+        if (!ROLES.includes(role)) {
+            return { error: `role must be one of ${ROLES.join(', ')}` };
+        }
+        user.role = role;
+    }
+    if (team !== undefined) {
+        if (typeof team !== 'string' || !team.trim()) {
+            return { error: 'team must be a non-empty string' };
+        }
+        user.team = team.trim();
+    }
+    if (disabled !== undefined) user.disabled = !!disabled;
+    return { user };
+}
+
+function findUserByName(username) {
+    const name = String(username || '').trim().toLowerCase();
+    return Array.from(users.values()).find(user => user.username === name) || null;
+}
+
+// A user without a team gets one of their own, named after them. `quotas` come from parseQuotas
+// in usage.js. Resolves with { user } or { error } when the username is taken.
+async function createUser({ username, password, role = 'user', team, quotas = {}, disabled = false }) {
+    if (findUserByName(username)) {
+        return { error: `User ${username} already exists` };
+    }
+    const now = new Date().toISOString();
+    const user = {
+        id: crypto.randomUUID(),
+        username,
+        role,
+        team: team || username,
+        quotas,
+        disabled,
+        passwordHash: await hashPassword(password),
+        apiKeys: [],
+        createdAt: now,
+        updatedAt: now
+    };
+    users.set(user.id, user);
+    saveUser(user);
+    return { user };
+}
+
+function getUser(id) {
+    return users.get(id) || null;
+}
+
+function listUsers() {
+    return Array.from(users.values())
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// `changes` come from parseUser with partial set, a new password is hashed. Disabling a user
+// also ends their sessions.
+async function editUser(id, { password, quotas, ...changes }) {
+    const user = users.get(id);
+    if (!user) return { user: null };
+    if (changes.username && changes.username !== user.username && findUserByName(changes.username)) {
+        return { error: `User ${changes.username} already exists` };
+    }
+    if (password) changes.passwordHash = await hashPassword(password);
+    if (quotas) changes.quotas = { ...user.quotas, ...quotas };
+    updateUser(user, changes);
+    if (password || user.disabled) endSessions(user.id);
+    return { user };
+}
+
+function deleteUser(id) {
+    const user = users.get(id);
+    if (!user) return null;
+    users.delete(id);
+    for (const key of user.apiKeys) keyIndex.delete(key.hash);
+    endSessions(id);
+    fs.rmSync(path.join(USERS_DIR, `${id}.json`), { force: true });
+    return user;
+}
+
+// Only the returned secret can authenticate, the user record keeps its hash and a short prefix
+// to tell keys apart
+function createApiKey(userId, name) {
+    const user = users.get(userId);
+    if (!user) return null;
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const key = {
+        id: crypto.randomUUID(),
+        name: name ? String(name) : null,
+        prefix: secret.slice(0, KEY_PREFIX.length + 6),
+        hash: sha256(secret),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+    };
+    updateUser(user, { apiKeys: [...user.apiKeys, key] });
+    keyIndex.set(key.hash, { userId, keyId: key.id });
+    const { hash, ...rest } = key;
+    return { ...rest, key: secret };
+}
+
+function deleteApiKey(userId, keyId) {
+    const user = users.get(userId);
+    const key = user && user.apiKeys.find(item => item.id === keyId);
+    if (!key) return null;
+    updateUser(user, { apiKeys: user.apiKeys.filter(item => item !== key) });
+    keyIndex.delete(key.hash);
+    const { hash, ...rest } = key;
+    return rest;
+}
+
+// User an API key belongs to, null for an unknown key or a disabled user
+function findUserByApiKey(secret) {
+    if (!secret || !secret.startsWith(KEY_PREFIX)) return null;
+    const entry = keyIndex.get(sha256(secret));
+    const user = entry && users.get(entry.userId);
+    if (!user || user.disabled) return null;
+
+    const key = user.apiKeys.find(item => item.id === entry.keyId);
+    if (key && (!key.lastUsedAt || Date.now() - Date.parse(key.lastUsedAt) > KEY_USE_RESOLUTION)) {
+        key.lastUsedAt = new Date().toISOString();
+        saveUser(user);
+    }
+    return user;
+}
+
+// Resolves with the user when the password matches, null otherwise
+async function checkPassword(username, password) {
+    const user = findUserByName(username);
+    if (!user) {
+        // Hash anyway, so unknown usernames take as long as wrong passwords
+        await hashPassword(String(password));
+        return null;
+    }
+    const matches = await verifyPassword(password, user.passwordHash);
+    return matches && !user.disabled ? user : null;
+}
+
+function sessionPath(token) {
+    return path.join(SESSIONS_DIR, `${sha256(token)}.json`);
+}
+
+// Sessions are files named after the token's hash, so they survive a restart
+function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    writeJson(sessionPath(token), {
+        userId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_TTL).toISOString()
+    });
+    return { token, maxAge: SESSION_TTL };
+}
+
+function findUserBySession(token) {
+    if (!token || !/^[\w-]+$/.test(token)) return null;
+    const session = readJson(sessionPath(token));
+    if (!session) return null;
+    if (session.expiresAt <= new Date().toISOString()) {
+        endSession(token);
+        return null;
+    }
+    const user = users.get(session.userId);
+    return user && !user.disabled ? user : null;
+}
+
+function endSession(token) {
+    if (!token || !/^[\w-]+$/.test(token)) return;
+    fs.rmSync(sessionPath(token), { force: true });
+}
+
+function endSessions(userId) {
+    for (const file of fs.existsSync(SESSIONS_DIR) ? fs.readdirSync(SESSIONS_DIR) : []) {
+        const session = readJson(path.join(SESSIONS_DIR, file));
+        if (session && session.userId === userId) {
+            fs.rmSync(path.join(SESSIONS_DIR, file), { force: true });
+        }
+    }
+}
+
+// Admins see everything, other users what belongs to their team. Resources from before
+// there were users have no team and only admins see them.
+function canAccess(user, resource) {
+    return user.role === 'admin' || (!!resource.team && resource.team === user.team);
+}
+
+module.exports = {
+    ROLES,
+    initUsers,
+    parseUser,
+    createUser,
+    getUser,
+    listUsers,
+    editUser,
+    deleteUser,
+    createApiKey,
+    deleteApiKey,
+    findUserByApiKey,
+    checkPassword,
+    createSession,
+    findUserBySession,
+    endSession,
+    canAccess,
+    publicUser
+};
@@ -0,0 +1,351 @@
+// Outbound webhooks. Scraped records are POSTed in batches while a job runs, followed by one
+// request when the job finishes. Each request is signed so the receiver can check it came from
+// us: X-Webhook-Signature is "sha256=" + the hex HMAC-SHA256 of `${X-Webhook-Timestamp}.${body}`
+// with the webhook's secret.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath, ensureDir, writeJson, listJson } = require('./store');
+const { jobEvents } = require('./jobs');
+
+const WEBHOOKS_DIR = dataPath('webhooks');
+const DELIVERIES_DIR = dataPath('webhook-deliveries');
+
+const WEBHOOK_EVENTS = ['records', 'job.completed', 'job.failed', 'job.cancelled', 'job.blocked', 'job.quota_exceeded'];
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_BATCH_SIZE = 1000;
+// A batch smaller than batchSize is sent once it is this old
+const BATCH_INTERVAL = parseInt(process.env.WEBHOOK_BATCH_INTERVAL, 10) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+// Retries wait 1s, 2s, 4s, ... by default
+const RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 1000;
+const REQUEST_TIMEOUT = 10000;
+
+const webhooks = new Map();
+const batches = new Map(); // `${webhookId}:${jobId}` -> { webhook, job, records, timer }
+// Deliveries to one webhook go out one after another, so a receiver sees them in order
+const deliveryChains = new Map(); // webhookId -> promise of the last queued delivery
+
+function saveWebhook(webhook) {
+    writeJson(path.join(WEBHOOKS_DIR, `${webhook.id}.json`), webhook);
+}
+
+// The secret is only shown when the webhook is created
+function publicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+}
+
+function deliveriesPath(webhookId) {
+    return path.join(DELIVERIES_DIR, `${webhookId}.ndjson`);
+}
+
+function logDelivery(delivery) {
+    ensureDir(DELIVERIES_DIR);
+    fs.appendFileSync(deliveriesPath(delivery.webhookId), JSON.stringify(delivery) + '\n');
+}
+
+function sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function isRetryable(statusCode) {
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function sendRequest(webhook, delivery, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'gmaps-extract-webhook',
+            'X-Webhook-Id': webhook.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery.id,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+    // Only the status matters, the body is read so the connection can be reused
+    await response.text().catch(() => {});
+    return response.status;
+}
+
+// POST one payload, retrying network errors, timeouts, 429 and 5xx with exponential backoff
+async function deliver(webhook, event, payload) {
+    const delivery = {
+        id: crypto.randomUUID(),
+        webhookId: webhook.id,
+        jobId: payload.job ? payload.job.id : null,
+        event,
+        records: payload.records ? payload.records.length : 0,
+        status: 'pending',
+        attempts: [],
+        createdAt: new Date().toISOString(),
+        finishedAt: null
+    };
+    const body = JSON.stringify({ id: delivery.id, event, ...payload, sentAt: delivery.createdAt });
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        // Stop retrying once the webhook is deleted or disabled
+        if (!webhooks.has(webhook.id) || !webhook.enabled) {
+            delivery.status = 'cancelled';
+            break;
+        }
+
+        const startedAt = Date.now();
+        let statusCode = null;
+        let error = null;
+        try {
+            statusCode = await sendRequest(webhook, delivery, body);
+        } catch (requestError) {
+            error = requestError.name === 'TimeoutError' ? 'Request timed out' : requestError.message;
+        }
+        delivery.attempts.push({
+            at: new Date(startedAt).toISOString(),
+            statusCode,
+            error,
+            durationMs: Date.now() - startedAt
+        });
+
+        if (statusCode >= 200 && statusCode < 300) {
+            delivery.status = 'delivered';
+            break;
+        }
+        delivery.status = 'failed';
+        if (statusCode !== null && !isRetryable(statusCode)) break;
+        if (attempt < MAX_ATTEMPTS) await wait(RETRY_DELAY * 2 ** (attempt - 1));
+    }
+
+    delivery.finishedAt = new Date().toISOString();
+    logDelivery(delivery);
+    if (delivery.status === 'failed') {
+        const last = delivery.attempts[delivery.attempts.length - 1];
+        console.error(`Webhook ${webhook.id} delivery of ${event} failed: ${last.error || `HTTP ${last.statusCode}`}`);
+    }
+    return delivery;
+}
+
+function queueDelivery(webhook, event, payload) {
+    const previous = deliveryChains.get(webhook.id) || Promise.resolve();
+    // A delivery that throws, e.g. on a payload that can't be serialised, doesn't hold up the ones after it
+    const next = previous.catch(() => {}).then(() => deliver(webhook, event, payload));
+    next.catch(error => console.error(`Webhook ${webhook.id} delivery of ${event} failed:`, error.message));
+    deliveryChains.set(webhook.id, next);
+    return next;
+}
+
+function jobSummary(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        endReason: job.endReason || null,
+        error: job.error || null,
+        blockedBy: job.blockedBy || null,
+        params: job.params,
+        counts: job.counts,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+// A team's webhooks only hear about the team's jobs
+function subscribers(job, event) {
+    return Array.from(webhooks.values()).filter(webhook =>
+        webhook.enabled &&
+        (!webhook.jobId || webhook.jobId === job.id) &&
+        (!webhook.team || webhook.team === job.team) &&
+        webhook.events.includes(event));
+}
+
+function flushBatch(key) {
+    const batch = batches.get(key);
+    if (!batch) return;
+    batches.delete(key);
+    clearTimeout(batch.timer);
+    queueDelivery(batch.webhook, 'records', { job: jobSummary(batch.job), records: batch.records });
+}
+
+function addRecord(webhook, job, record) {
+    const key = `${webhook.id}:${job.id}`;
+    let batch = batches.get(key);
+    if (!batch) {
+        batch = { webhook, job, records: [], timer: setTimeout(() => flushBatch(key), BATCH_INTERVAL) };
+        batches.set(key, batch);
+    }
+    batch.records.push(record);
+    if (batch.records.length >= webhook.batchSize) flushBatch(key);
+}
+
+function onJobEvent(job, event) {
+    if (event.type === 'update') {
+        for (const webhook of subscribers(job, 'records')) addRecord(webhook, job, event.data);
+        return;
+    }
+    if (event.type !== 'complete' && event.type !== 'error') return;
+
+    // Records still waiting in a batch go out before the job's final event
+    for (const key of Array.from(batches.keys())) {
+        if (key.endsWith(`:${job.id}`)) flushBatch(key);
+    }
+    const name = event.type === 'error' ? 'job.failed' : `job.${event.status}`;
+    for (const webhook of subscribers(job, name)) {
+        queueDelivery(webhook, name, { job: jobSummary(job) });
+    }
+}
+
+// Load registered webhooks and start listening to every job's events
+function initWebhooks() {
+    for (const webhook of listJson(WEBHOOKS_DIR)) {
+        webhooks.set(webhook.id, webhook);
+    }
+    jobEvents.on('all', onJobEvent);
+}
+
+// { webhook } with validated settings, or { error }. Used for both global webhooks and the
+// `webhook` of a job request body.
+function parseWebhook(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'webhook must be an object with a url' };
+    }
+    const { url, secret, events, batchSize, enabled } = body;
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return { error: 'webhook url must be an absolute http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return { error: 'webhook url must be an absolute http(s) URL' };
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 8)) {
+        return { error: 'webhook secret must be a string of at least 8 characters' };
+    }
+    const eventList = events === undefined ? WEBHOOK_EVENTS : [].concat(events);
+    const unknownEvents = eventList.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknownEvents.length > 0 || eventList.length === 0) {
+        return { error: `webhook events must be some of ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    const size = batchSize === undefined ? DEFAULT_BATCH_SIZE : Number(batchSize);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_BATCH_SIZE) {
+        return { error: `webhook batchSize must be between 1 and ${MAX_BATCH_SIZE}` };
+    }
+
+    return {
+        webhook: {
+            url: parsedUrl.toString(),
+            secret,
+            events: Array.from(new Set(eventList)),
+            batchSize: size,
+            enabled: enabled !== false
+        }
+    };
+}
+
+// Registers a parsed webhook, for every job of the owner's team or only `jobId`. Returns it
+// with its secret, which is generated when none was given. `owner` is { userId, team }.
+function createWebhook({ jobId = null, secret, ...settings }, owner = {}) {
+    const now = new Date().toISOString();
+    const webhook = {
+        id: crypto.randomUUID(),
+        ...settings,
+        secret: secret || crypto.randomBytes(24).toString('hex'),
+        jobId,
+        userId: owner.userId || null,
+        team: owner.team || null,
+        createdAt: now,
+        updatedAt: now
+    };
+    webhooks.set(webhook.id, webhook);
+    saveWebhook(webhook);
+    return webhook;
+}
+
+function getWebhook(id) {
+    const webhook = webhooks.get(id);
+    return webhook ? publicWebhook(webhook) : null;
+}
+
+function listWebhooks({ jobId, team } = {}) {
+    return Array.from(webhooks.values())
+        .filter(webhook => !jobId || webhook.jobId === jobId)
+        .filter(webhook => !team || webhook.team === team)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(publicWebhook);
+}
+
+// `changes` come from parseWebhook, a new secret is only set when one was given
+function editWebhook(id, { secret, ...changes }) {
+    const webhook = webhooks.get(id);
+    if (!webhook) return null;
+    Object.assign(webhook, changes, secret ? { secret } : {}, { updatedAt: new Date().toISOString() });
+    saveWebhook(webhook);
+    return publicWebhook(webhook);
+}
+
+function deleteWebhook(id) {
+    const webhook = webhooks.get(id);
+    if (!webhook) return null;
+    webhooks.delete(id);
+    for (const key of Array.from(batches.keys())) {
+        if (key.startsWith(`${id}:`)) {
+            clearTimeout(batches.get(key).timer);
+            batches.delete(key);
+        }
+    }
+    fs.rmSync(path.join(WEBHOOKS_DIR, `${id}.json`), { force: true });
+    return publicWebhook(webhook);
+}
+
+// Send a ping right away and resolve with its delivery, to check a receiver is set up
+function testWebhook(id) {
+    const webhook = webhooks.get(id);
+    if (!webhook) return null;
+    return queueDelivery(webhook, 'ping', { webhookId: webhook.id });
+}
+
+// Newest first, optionally only one job's deliveries or only failed ones
+function listDeliveries(webhookId, { jobId, status, limit = 100 } = {}) {
+    let content;
+    try {
+        content = fs.readFileSync(deliveriesPath(webhookId), 'utf8');
+    } catch (error) {
+        return [];
+    }
+
+    const deliveries = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            deliveries.push(JSON.parse(line));
+        } catch (error) {
+            // Skip a line cut short by a crash
+        }
+    }
+    return deliveries
+        .filter(delivery => (!jobId || delivery.jobId === jobId) && (!status || delivery.status === status))
+        .reverse()
+        .slice(0, limit);
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    initWebhooks,
+    parseWebhook,
+    createWebhook,
+    getWebhook,
+    listWebhooks,
+    editWebhook,
+    deleteWebhook,
+    testWebhook,
+    listDeliveries,
+    publicWebhook
+};